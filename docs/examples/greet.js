@@ -0,0 +1,7 @@
+// #region greet
+function greet(name) {
+  return `Hello, ${name}!`;
+}
+// #endregion
+
+module.exports = greet;
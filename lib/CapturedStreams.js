@@ -0,0 +1,87 @@
+const streamNames = ["stdout", "stderr"];
+
+// text has no styles to set stderr apart so its lines are labelled
+const STDERR_LABEL = "[stderr] ";
+
+function chunkToString(chunk, encoding) {
+  if (Buffer.isBuffer(chunk) || chunk instanceof Uint8Array) {
+    return Buffer.from(chunk).toString(
+      typeof encoding === "string" ? encoding : "utf8"
+    );
+  }
+  return String(chunk);
+}
+
+class CapturedStreams {
+  constructor(markdown) {
+    this.markdown = markdown;
+    this.segments = [];
+    this.originalWrites = null;
+  }
+
+  isEmpty() {
+    return this.segments.length === 0;
+  }
+
+  start() {
+    if (this.originalWrites) return;
+
+    this.originalWrites = {};
+    for (const name of streamNames) {
+      const stream = process[name];
+      this.originalWrites[name] = stream.write;
+      stream.write = (chunk, encoding, callback) => {
+        this.write(name, chunkToString(chunk, encoding));
+        // report the write as complete as it will not reach the stream
+        const done = typeof encoding === "function" ? encoding : callback;
+        if (typeof done === "function") process.nextTick(done);
+        return true;
+      };
+    }
+  }
+
+  stop() {
+    if (!this.originalWrites) return;
+
+    for (const name of streamNames) {
+      process[name].write = this.originalWrites[name];
+    }
+    this.originalWrites = null;
+  }
+
+  write(name, text) {
+    if (text.length === 0) return;
+
+    // consecutive writes to the same stream are kept together
+    const lastSegment = this.segments[this.segments.length - 1];
+    if (lastSegment && lastSegment.name === name) {
+      lastSegment.text += text;
+    } else {
+      this.segments.push({ name, text });
+    }
+  }
+
+  toString(format) {
+    const output = this.markdown.getExpect().output.clone();
+    const stderrLabel = format === "text" ? STDERR_LABEL : "";
+
+    const lastIndex = this.segments.length - 1;
+    for (const [index, { name, text }] of this.segments.entries()) {
+      const segmentText = index === lastIndex ? text.replace(/\n$/, "") : text;
+      for (const [lineIndex, line] of segmentText.split("\n").entries()) {
+        if (lineIndex > 0) output.nl();
+        if (line.length === 0) continue;
+        // writes to stderr are distinguished as they are for the console
+        if (name === "stderr") {
+          output.error(`${stderrLabel}${line}`);
+        } else {
+          output.text(line);
+        }
+      }
+    }
+
+    return output.toString(format);
+  }
+}
+
+module.exports = CapturedStreams;
@@ -1,3 +1,4 @@
+const chokidar = require("chokidar");
 const fs = require("fs").promises;
 const fsExtra = require("fs-extra");
 const glob = require("fast-glob");
@@ -5,10 +6,17 @@ const path = require("path");
 
 const debug = require("./debug").extend("Evaldown");
 const errors = require("./errors");
+const { captures, isolations } = require("./md/evaluationModes");
 const Markdown = require("./md/Markdown");
+const PageTemplate = require("./PageTemplate");
+const runners = require("./md/runners");
+const Site = require("./Site");
 const Stats = require("./Stats");
+const TestStats = require("./TestStats");
+const WorkerPool = require("./WorkerPool");
 
 const DEFAULT_SOURCE_EXTENSION = ".md";
+const WATCH_DEBOUNCE_MS = 100;
 
 const formats = {
   html: {
@@ -28,14 +36,63 @@ const formats = {
   }
 };
 
-const captures = {
-  console: true,
-  nowrap: true,
-  return: true
-};
-
 function isValidExtension(ext) {
-  return typeof ext === "string" && /^\.([a-z]\.)*[a-z]/;
+  return typeof ext === "string" && /^(\.[a-z0-9]+)+$/.test(ext);
+}
+
+const magicpenFormats = ["ansi", "html", "text"];
+
+function validateFormat(name, format) {
+  if (Evaldown.formats[name]) {
+    throw new Error(`Evaldown: Cannot override the builtin format "${name}"`);
+  }
+
+  const { defaultExtension, magicpenFormat, generateOutput } = format || {};
+  if (!isValidExtension(defaultExtension)) {
+    throw new Error(`Evaldown: Invalid defaultExtension for format "${name}"`);
+  } else if (!magicpenFormats.includes(magicpenFormat)) {
+    throw new Error(`Evaldown: Invalid magicpenFormat for format "${name}"`);
+  } else if (typeof generateOutput !== "function") {
+    throw new Error(`Evaldown: Invalid generateOutput for format "${name}"`);
+  }
+
+  return { defaultExtension, magicpenFormat, generateOutput };
+}
+
+function prepareFormats(customFormats) {
+  const preparedFormats = { ...Evaldown.formats };
+  for (const [name, format] of Object.entries(customFormats || {})) {
+    preparedFormats[name] = validateFormat(name, format);
+  }
+  return preparedFormats;
+}
+
+function prepareTranspilers(transpilers) {
+  const preparedTranspilers = {};
+  for (const [lang, transpileFn] of Object.entries(transpilers || {})) {
+    if (typeof transpileFn !== "function") {
+      throw new Error(`Evaldown: Invalid transpiler for language "${lang}"`);
+    }
+    preparedTranspilers[lang] = transpileFn;
+  }
+  return preparedTranspilers;
+}
+
+function prepareRunners(runnerOptions) {
+  const preparedRunners = {};
+  for (const [lang, runner] of Object.entries(runnerOptions || {})) {
+    if (runner === true) {
+      if (!Evaldown.runners[lang]) {
+        throw new Error(`Evaldown: Unsupported runner "${lang}"`);
+      }
+      preparedRunners[lang] = Evaldown.runners[lang];
+    } else if (typeof runner === "function") {
+      preparedRunners[lang] = runner;
+    } else {
+      throw new Error(`Evaldown: Invalid runner for language "${lang}"`);
+    }
+  }
+  return preparedRunners;
 }
 
 function noopWrapper(output) {
@@ -48,17 +105,27 @@ class Evaldown {
 
     const {
       commentMarker,
+      concurrency,
       fileGlobals,
       filePreamble,
+      formats: customFormats,
+      isolation,
       outputCapture,
       outputFormat,
+      outputPage,
+      runners: runnerOptions,
+      site,
       wrapOutput,
       sourceExtension,
-      targetExtension
+      targetExtension,
+      timeout,
+      transpilers,
+      typecheck
     } = options;
 
+    const availableFormats = prepareFormats(customFormats);
     const formatName = typeof outputFormat === "string" ? outputFormat : "html";
-    if (!Evaldown.formats[formatName]) {
+    if (!availableFormats[formatName]) {
       throw new Error(`Evaldown: Unsupported output format "${outputFormat}"`);
     }
 
@@ -68,6 +135,11 @@ class Evaldown {
       throw new Error(`Evaldown: Unsupported capture type "${outputCapture}"`);
     }
 
+    const isolationName = typeof isolation === "string" ? isolation : "global";
+    if (!Evaldown.isolations[isolationName]) {
+      throw new Error(`Evaldown: Unsupported isolation type "${isolation}"`);
+    }
+
     const marker =
       typeof commentMarker === "string" ? commentMarker : "evaldown";
     const preamble =
@@ -75,20 +147,33 @@ class Evaldown {
     const wrapper = typeof wrapOutput === "function" ? wrapOutput : noopWrapper;
 
     this.capture = captureName;
-    this.format = Evaldown.formats[formatName];
+    this.format = availableFormats[formatName];
     this.formatName = formatName;
+    this.isolation = isolationName;
     this.marker = marker;
     this.preamble = preamble;
     this.wrapper = wrapper;
 
+    // page handling
+    this.site = !!site;
+    this.page = !!(outputPage || options.templatePath || this.site);
+    if (this.page && formatName !== "html") {
+      throw new Error('Evaldown: page output requires the "html" format');
+    }
+    this.pageTemplate = null;
+    this.currentSite = null;
+
     // target handling
+    this.check = !!options.check;
     this.inplace = !!options.inplace;
     this.update = !!options.update;
 
     // path handling
+    this.preamblePath = options.filePreamblePath;
     this.requirePath = options.requirePath;
     this.sourcePath = options.sourcePath;
     this.targetPath = options.targetPath;
+    this.templatePath = options.templatePath;
     this.tsconfigPath = options.tsconfigPath;
 
     // extension handling
@@ -102,31 +187,102 @@ class Evaldown {
     // evaluation configuration
     this.fileGlobals =
       typeof fileGlobals === "object" && fileGlobals ? fileGlobals : {};
+    this.timeout =
+      typeof timeout === "number" && timeout > 0 ? timeout : undefined;
+    this.transpilers = prepareTranspilers(transpilers);
+    this.runnerOptions = runnerOptions || {};
+    this.runners = prepareRunners(runnerOptions);
+    this.typecheck = !!typecheck;
+
+    // worker handling
+    this.concurrency =
+      typeof concurrency === "number" && concurrency > 1
+        ? Math.floor(concurrency)
+        : 1;
+    if (this.concurrency > 1 && Object.keys(this.fileGlobals).length > 0) {
+      throw new Error("Evaldown: fileGlobals cannot be used with concurrency");
+    }
+    if (this.concurrency > 1 && Object.keys(this.transpilers).length > 0) {
+      throw new Error("Evaldown: transpilers cannot be used with concurrency");
+    }
+    if (
+      this.concurrency > 1 &&
+      Object.values(this.runnerOptions).some(runner => runner !== true)
+    ) {
+      throw new Error(
+        "Evaldown: custom runners cannot be used with concurrency"
+      );
+    }
+    if (this.concurrency > 1 && !Evaldown.formats[formatName]) {
+      throw new Error(
+        "Evaldown: custom formats cannot be used with concurrency"
+      );
+    }
   }
 
-  async makeOutputForContent(fileContent, pwdPath) {
-    const maker = new Markdown(fileContent, {
+  createMarkdown(fileContent) {
+    return new Markdown(fileContent, {
       marker: this.marker,
       format: this.formatName,
       inplace: this.inplace,
       preamble: this.preamble,
       requirePath: this.requirePath,
+      runners: this.runners,
+      transpilers: this.transpilers,
       tsconfigPath: this.tsconfigPath
     });
+  }
 
+  async evaluateMarkdown(maker, pwdPath, sourceFilePath) {
     // set basic options for evaluation
-    const evalOpts = { pwdPath, capture: this.capture };
+    const evalOpts = {
+      pwdPath,
+      filename: sourceFilePath,
+      capture: this.capture,
+      isolation: this.isolation,
+      timeout: this.timeout,
+      typecheck: this.typecheck
+    };
     // set globals to be attached if supplied
     if (this.fileGlobals) {
       evalOpts.fileGlobals = this.fileGlobals;
     }
     // trigger evaluation for this bag of options
     await maker.evaluate(evalOpts);
+  }
+
+  async makeOutputForContent(fileContent, pwdPath, sourceFilePath) {
+    const maker = this.createMarkdown(fileContent);
+    try {
+      await this.evaluateMarkdown(maker, pwdPath, sourceFilePath);
+    } catch (e) {
+      // retain per-snippet results for reporting the failed file
+      if (e.name === "FileEvaluationError") {
+        e.data.results = maker.getResults();
+      }
+      throw e;
+    }
+
+    const results = maker.getResults();
+
+    if (this.check) {
+      const checkErrors = maker.checkExamples();
+      return { targetOutput: null, sourceOutput: null, checkErrors, results };
+    }
 
-    const targetOutput = await this.format.generateOutput(maker);
+    let targetOutput = await this.format.generateOutput(maker);
+    let page = null;
+    if (this.page) {
+      page = { headings: maker.getHeadings(), metadata: maker.metadata };
+    }
+    if (page && !this.site) {
+      // site pages are rendered once the navigation is known
+      targetOutput = await this.renderPage(targetOutput, page);
+    }
 
     let sourceOutput;
-    if (!(this.inplace || this.update)) {
+    if (!(this.inplace || this.update) || maker.fileOptions.skip) {
+      // a skipped file was not evaluated so is left as it was written
       sourceOutput = null;
     } else if (this.formatName === "markdown") {
       sourceOutput = targetOutput;
@@ -135,25 +291,125 @@ class Evaldown {
       sourceOutput = await markdownFormat.generateOutput(maker);
     }
 
-    return { targetOutput, sourceOutput };
+    return { targetOutput, sourceOutput, results, page };
   }
 
-  async prepareFile(sourceFile) {
-    debug('preparing source file "%s"', sourceFile);
+  async loadPageTemplate() {
+    if (!this.pageTemplate) {
+      this.pageTemplate = PageTemplate.load(this.templatePath).catch(e => {
+        this.pageTemplate = null;
+        throw new errors.TemplateFileError(e);
+      });
+    }
+    return this.pageTemplate;
+  }
 
-    const sourceBaseName = path.basename(sourceFile, this.sourceExtension);
-    const sourceDirName = path.dirname(sourceFile);
+  async renderPage(content, page) {
+    const pageTemplate = await this.loadPageTemplate();
+
+    return pageTemplate.render({ content, ...page });
+  }
+
+  async loadSite() {
+    debug('loading site for "%s"', this.sourcePath);
+
+    const entries = [];
+    for (const sourceFile of await this.findFiles()) {
+      const fallbackTitle = path.basename(sourceFile, this.sourceExtension);
+      let maker;
+      try {
+        maker = this.createMarkdown(await this.readFile(sourceFile));
+      } catch (e) {
+        // the error is reported once the file itself is processed
+        entries.push({ sourceFile, title: fallbackTitle, order: null });
+        continue;
+      }
+      const { order } = maker.metadata;
+      entries.push({
+        sourceFile,
+        title: maker.getTitle() || fallbackTitle,
+        order: typeof order === "number" ? order : null
+      });
+    }
+
+    return new Site(entries, {
+      sourceExtension: this.sourceExtension,
+      targetExtension: this.targetExtension
+    });
+  }
+
+  async getSite() {
+    if (!this.currentSite) {
+      this.currentSite = await this.loadSite();
+    }
+    return this.currentSite;
+  }
+
+  async renderSitePage(prepared) {
+    const { sourceFile, targetOutput, page } = prepared;
+    const site = await this.getSite();
+
+    const { html, brokenLinks } = site.rewriteLinks(sourceFile, targetOutput);
+    prepared.targetOutput = await this.renderPage(html, {
+      ...page,
+      nav: site.navFor(sourceFile)
+    });
+
+    return brokenLinks;
+  }
+
+  async writeSiteIndex() {
+    const site = await this.getSite();
+    if (site.hasIndex()) {
+      return;
+    }
+
+    debug('writing site index for "%s"', this.sourcePath);
+
+    const indexFile = `index${this.sourceExtension}`;
+    const title = "Contents";
+    const targetOutput = await this.renderPage(
+      `<h1 id="contents">${title}</h1>\n${site.navFor(indexFile)}`,
+      { title, nav: site.navFor(indexFile) }
+    );
+    await this.writeFile({
+      sourceFile: indexFile,
+      sourceBaseName: "index",
+      sourceDirName: ".",
+      targetOutput
+    });
+  }
+
+  async findFiles() {
+    return glob(`**/*${this.sourceExtension}`, {
+      cwd: this.sourcePath
+    });
+  }
+
+  async readFile(sourceFile) {
     const sourceFilePath = path.join(this.sourcePath, sourceFile);
 
-    let fileContent;
     try {
-      fileContent = await fs.readFile(sourceFilePath, "utf8");
+      return await fs.readFile(sourceFilePath, "utf8");
     } catch (e) {
       throw new errors.SourceFileError(e);
     }
+  }
+
+  async prepareFile(sourceFile) {
+    debug('preparing source file "%s"', sourceFile);
 
+    const sourceBaseName = path.basename(sourceFile, this.sourceExtension);
+    const sourceDirName = path.dirname(sourceFile);
+    const sourceFilePath = path.join(this.sourcePath, sourceFile);
+
+    const fileContent = await this.readFile(sourceFile);
     const pwdPath = path.join(this.sourcePath, sourceDirName);
-    const output = await this.makeOutputForContent(fileContent, pwdPath);
+    const output = await this.makeOutputForContent(
+      fileContent,
+      pwdPath,
+      sourceFilePath
+    );
 
     return {
       sourceFile,
@@ -164,42 +420,290 @@ class Evaldown {
     };
   }
 
+  checkFile(prepared) {
+    const { sourceFile, checkErrors, results } = prepared;
+
+    debug('checking source file "%s"', sourceFile);
+
+    if (checkErrors) {
+      throw new errors.FileCheckError({
+        data: { errors: checkErrors, results }
+      });
+    }
+  }
+
   async processFile(sourceFile) {
     const prepared = await this.prepareFile(sourceFile);
+    await this.processPrepared(prepared);
+  }
+
+  async processPrepared(prepared) {
+    const { sourceFile } = prepared;
+
+    if (this.check) {
+      this.checkFile(prepared);
+      return;
+    }
 
     debug('processing source file "%s"', sourceFile);
 
+    let brokenLinks = [];
+    if (this.site) {
+      brokenLinks = await this.renderSitePage(prepared);
+    }
+
     if (!this.inplace && this.targetPath) {
       await this.writeFile(prepared);
     }
 
-    if (this.inplace || this.update) {
+    if ((this.inplace || this.update) && prepared.sourceOutput !== null) {
       await this.updateFile(prepared);
     }
+
+    if (brokenLinks.length > 0) {
+      throw new errors.FileLinkError({
+        data: { links: brokenLinks, results: prepared.results }
+      });
+    }
   }
 
-  async processFiles() {
+  async processFiles(sourceFiles) {
     debug('reading files for processing "%s"', this.sourcePath);
 
-    const markdownFiles = await glob(`**/*${this.sourceExtension}`, {
-      cwd: this.sourcePath
-    });
+    const markdownFiles = sourceFiles || (await this.findFiles());
 
     const stats = new Stats();
 
-    for (const file of markdownFiles) {
+    // the site is reloaded so that added files and titles are picked up
+    this.currentSite = null;
+
+    if (this.concurrency > 1) {
+      await this.processFilesInWorkers(markdownFiles, stats);
+    } else {
+      for (const file of markdownFiles) {
+        try {
+          const prepared = await this.prepareFile(file);
+          await this.processPrepared(prepared);
+          stats.addSuccess(file, prepared.results);
+        } catch (e) {
+          stats.addError(file, e);
+          debug(
+            'unable to process "%s" with: %s',
+            file,
+            errors.errorToOutput(e)
+          );
+        }
+      }
+    }
+
+    if (this.site && !this.inplace && !this.check && this.targetPath) {
+      await this.writeSiteIndex();
+    }
+
+    debug('finished processing "%s"', this.sourcePath);
+
+    return stats;
+  }
+
+  async processFilesInWorkers(markdownFiles, stats) {
+    debug("processing files with %d workers", this.concurrency);
+
+    const pool = new WorkerPool(this.concurrency, this.toWorkerOptions());
+    const results = await pool.prepareFiles(markdownFiles);
+
+    for (const { sourceFile: file, error, prepared } of results) {
       try {
-        await this.processFile(file);
-        stats.addSuccess(file);
+        if (error) {
+          throw error;
+        }
+        await this.processPrepared(prepared);
+        stats.addSuccess(file, prepared.results);
       } catch (e) {
         stats.addError(file, e);
         debug('unable to process "%s" with: %s', file, errors.errorToOutput(e));
       }
     }
+  }
 
-    debug('finished processing "%s"', this.sourcePath);
+  async testFile(sourceFile) {
+    debug('testing source file "%s"', sourceFile);
 
-    return stats;
+    const fileContent = await this.readFile(sourceFile);
+    const pwdPath = path.join(this.sourcePath, path.dirname(sourceFile));
+    const sourceFilePath = path.join(this.sourcePath, sourceFile);
+
+    const maker = this.createMarkdown(fileContent);
+    try {
+      await this.evaluateMarkdown(maker, pwdPath, sourceFilePath);
+    } catch (e) {
+      // snippet failures are reported against their individual tests
+      if (e.name !== "FileEvaluationError") {
+        throw e;
+      }
+    }
+
+    return maker.getTests();
+  }
+
+  async test(sourceFiles) {
+    debug('reading files for testing "%s"', this.sourcePath);
+
+    const markdownFiles = sourceFiles || (await this.findFiles());
+
+    const testStats = new TestStats();
+
+    for (const file of markdownFiles) {
+      try {
+        testStats.addTests(file, await this.testFile(file));
+      } catch (e) {
+        testStats.addError(file, e);
+        debug('unable to test "%s" with: %s', file, errors.errorToOutput(e));
+      }
+    }
+
+    debug('finished testing "%s"', this.sourcePath);
+
+    return testStats;
+  }
+
+  toWorkerOptions() {
+    // options are sent to worker processes so must be serialisable
+    return {
+      check: this.check,
+      commentMarker: this.marker,
+      filePreamble: this.preamble,
+      inplace: this.inplace,
+      isolation: this.isolation,
+      outputCapture: this.capture,
+      outputFormat: this.formatName,
+      outputPage: this.page,
+      requirePath: this.requirePath,
+      runners: this.runnerOptions,
+      site: this.site,
+      sourceExtension: this.sourceExtension,
+      sourcePath: this.sourcePath,
+      targetExtension: this.targetExtension,
+      templatePath: this.templatePath,
+      timeout: this.timeout,
+      tsconfigPath: this.tsconfigPath,
+      typecheck: this.typecheck,
+      update: this.update
+    };
+  }
+
+  async reloadPreamble() {
+    debug('reloading preamble "%s"', this.preamblePath);
+
+    try {
+      this.preamble = await fs.readFile(this.preamblePath, "utf8");
+    } catch (e) {
+      throw new errors.SourceFileError(e);
+    }
+  }
+
+  watchFiles(onStats, onError) {
+    const isSourceFile = file =>
+      path.extname(file) === this.sourceExtension &&
+      !path.relative(this.sourcePath, file).startsWith("..");
+
+    const watchedPaths = [this.sourcePath];
+    if (this.preamblePath) watchedPaths.push(this.preamblePath);
+    if (this.tsconfigPath) watchedPaths.push(this.tsconfigPath);
+
+    const watcher = chokidar.watch(watchedPaths, {
+      ignored: this.targetPath ? [this.targetPath] : [],
+      ignoreInitial: true
+    });
+
+    // record file content so that writes made by the
+    // processing itself do not trigger a further run
+    const knownContent = new Map();
+    const changedFiles = new Set();
+    let preambleChanged = false;
+    let reprocessAll = false;
+    let pending = Promise.resolve();
+    let timeout = null;
+
+    const rememberContent = async sourceFile => {
+      try {
+        knownContent.set(sourceFile, await this.readFile(sourceFile));
+      } catch (e) {
+        knownContent.delete(sourceFile);
+      }
+    };
+
+    const processChanges = async () => {
+      if (preambleChanged) {
+        preambleChanged = false;
+        await this.reloadPreamble();
+      }
+
+      let sourceFiles;
+      if (reprocessAll) {
+        sourceFiles = await this.findFiles();
+      } else {
+        sourceFiles = [];
+        for (const sourceFile of changedFiles) {
+          const content = await this.readFile(sourceFile).catch(() => null);
+          if (content !== null && content !== knownContent.get(sourceFile)) {
+            sourceFiles.push(sourceFile);
+          }
+        }
+      }
+      reprocessAll = false;
+      changedFiles.clear();
+
+      if (sourceFiles.length === 0) {
+        return;
+      }
+
+      debug('watch processing "%s"', sourceFiles.join('", "'));
+      const stats = await this.processFiles(sourceFiles);
+      for (const sourceFile of sourceFiles) {
+        await rememberContent(sourceFile);
+      }
+      onStats(stats);
+    };
+
+    const scheduleChanges = () => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => {
+        pending = pending.then(processChanges).catch(e => {
+          debug("watch processing failed with: %s", errors.errorToOutput(e));
+          if (onError) onError(e);
+        });
+      }, WATCH_DEBOUNCE_MS);
+    };
+
+    watcher.on("all", (eventName, changedPath) => {
+      if (eventName !== "add" && eventName !== "change") {
+        return;
+      }
+
+      debug('watch saw "%s" for "%s"', eventName, changedPath);
+
+      if (changedPath === this.preamblePath) {
+        preambleChanged = true;
+        reprocessAll = true;
+      } else if (changedPath === this.tsconfigPath) {
+        reprocessAll = true;
+      } else if (isSourceFile(changedPath)) {
+        changedFiles.add(path.relative(this.sourcePath, changedPath));
+      } else {
+        return;
+      }
+
+      scheduleChanges();
+    });
+
+    return {
+      ready: new Promise(resolve => watcher.on("ready", resolve)),
+      close: async () => {
+        clearTimeout(timeout);
+        await watcher.close();
+        await pending;
+      }
+    };
   }
 
   async updateFile(prepared) {
@@ -248,6 +752,8 @@ class Evaldown {
 }
 
 Evaldown.captures = captures;
+Evaldown.isolations = isolations;
+Evaldown.runners = runners;
 Evaldown.formats = formats;
 Evaldown.Markdown = Markdown;
 
@@ -0,0 +1,76 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+const escapeHtml = require("./escapeHtml");
+
+const DEFAULT_TEMPLATE_PATH = path.join(__dirname, "templates", "page.html");
+const STYLESHEET_PATH = path.join(__dirname, "templates", "page.css");
+
+const placeholderRegExp = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+function headingsToToc(headings) {
+  const items = headings
+    .filter(({ depth }) => depth === 2 || depth === 3)
+    .map(
+      ({ depth, text, id }) =>
+        `<li class="toc-depth-${depth}"><a href="#${id}">${escapeHtml(
+          text
+        )}</a></li>`
+    );
+  return items.length > 0 ? `<ul>\n${items.join("\n")}\n</ul>` : "";
+}
+
+function valueAtPath(obj, keyPath) {
+  return keyPath
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== null && typeof value === "object" ? value[key] : undefined,
+      obj
+    );
+}
+
+class PageTemplate {
+  constructor(template, stylesheet) {
+    this.template = template;
+    this.stylesheet = stylesheet;
+  }
+
+  render({ content, headings, metadata, nav, title }) {
+    headings = headings || [];
+    metadata = metadata || {};
+
+    if (typeof title !== "string") {
+      const firstHeading = headings.find(({ depth }) => depth === 1);
+      title = metadata.title || (firstHeading ? firstHeading.text : "");
+    }
+
+    const values = {
+      content,
+      nav: nav ? `<nav class="site">\n${nav}\n</nav>` : "",
+      stylesheet: this.stylesheet,
+      title: escapeHtml(title),
+      toc: headingsToToc(headings)
+    };
+
+    return this.template.replace(placeholderRegExp, (m, key) => {
+      if (key.startsWith("metadata.")) {
+        const value = valueAtPath(metadata, key.slice("metadata.".length));
+        return value === undefined || value === null ? "" : escapeHtml(value);
+      }
+      return key in values ? values[key] : m;
+    });
+  }
+
+  static async load(templatePath) {
+    const [template, stylesheet] = await Promise.all([
+      fs.readFile(templatePath || DEFAULT_TEMPLATE_PATH, "utf8"),
+      fs.readFile(STYLESHEET_PATH, "utf8")
+    ]);
+    return new PageTemplate(template, stylesheet);
+  }
+}
+
+PageTemplate.DEFAULT_TEMPLATE_PATH = DEFAULT_TEMPLATE_PATH;
+
+module.exports = PageTemplate;
@@ -0,0 +1,128 @@
+const path = require("path");
+
+const escapeHtml = require("./escapeHtml");
+
+const hrefRegExp = /href="([^"]*)"/g;
+const schemeRegExp = /^[a-z][a-z0-9+.-]*:/i;
+
+function isRelativeHref(href) {
+  return !(
+    href === "" ||
+    href.startsWith("#") ||
+    href.startsWith("/") ||
+    schemeRegExp.test(href)
+  );
+}
+
+function compareEntries(a, b) {
+  // entries with an explicit order sort before those without one
+  const aOrder = a.order === null ? Infinity : a.order;
+  const bOrder = b.order === null ? Infinity : b.order;
+  if (aOrder !== bOrder) {
+    return aOrder - bOrder;
+  }
+  return a.title.localeCompare(b.title);
+}
+
+function entriesToTree(entries) {
+  const root = { name: "", entries: [], children: new Map() };
+
+  for (const entry of entries) {
+    let node = root;
+    const dirName = path.posix.dirname(entry.sourceFile);
+    for (const part of dirName === "." ? [] : dirName.split("/")) {
+      if (!node.children.has(part)) {
+        node.children.set(part, {
+          name: part,
+          entries: [],
+          children: new Map()
+        });
+      }
+      node = node.children.get(part);
+    }
+    node.entries.push(entry);
+  }
+
+  return root;
+}
+
+class Site {
+  constructor(entries, options) {
+    const { sourceExtension, targetExtension } = options;
+
+    this.entries = entries.slice().sort(compareEntries);
+    this.sourceExtension = sourceExtension;
+    this.targetExtension = targetExtension;
+    this.sourceFiles = new Set(entries.map(entry => entry.sourceFile));
+  }
+
+  hasIndex() {
+    return this.sourceFiles.has(`index${this.sourceExtension}`);
+  }
+
+  targetFileFor(sourceFile) {
+    const dirName = path.posix.dirname(sourceFile);
+    const baseName = path.posix.basename(sourceFile, this.sourceExtension);
+    return path.posix.join(dirName, `${baseName}${this.targetExtension}`);
+  }
+
+  hrefBetween(fromSourceFile, toTargetFile) {
+    const fromDir = path.posix.dirname(this.targetFileFor(fromSourceFile));
+    return path.posix.relative(fromDir, toTargetFile);
+  }
+
+  rewriteLinks(sourceFile, html) {
+    const brokenLinks = [];
+    const sourceDirName = path.posix.dirname(sourceFile);
+
+    const rewritten = html.replace(hrefRegExp, (m, href) => {
+      if (!isRelativeHref(href)) {
+        return m;
+      }
+
+      const [, pathname, suffix] = /^([^#?]*)(.*)$/.exec(href);
+      if (!pathname.endsWith(this.sourceExtension)) {
+        return m;
+      }
+
+      const linkedFile = path.posix.normalize(
+        path.posix.join(sourceDirName, pathname)
+      );
+      if (!this.sourceFiles.has(linkedFile)) {
+        brokenLinks.push(href);
+        return m;
+      }
+
+      const linkedBase = pathname.slice(0, -this.sourceExtension.length);
+      return `href="${linkedBase}${this.targetExtension}${suffix}"`;
+    });
+
+    return { html: rewritten, brokenLinks };
+  }
+
+  navFor(sourceFile) {
+    const renderNode = node => {
+      const items = [];
+      for (const entry of node.entries) {
+        const href = this.hrefBetween(
+          sourceFile,
+          this.targetFileFor(entry.sourceFile)
+        );
+        const active = entry.sourceFile === sourceFile ? ' class="active"' : "";
+        items.push(
+          `<li${active}><a href="${href}">${escapeHtml(entry.title)}</a></li>`
+        );
+      }
+      for (const child of node.children.values()) {
+        items.push(
+          `<li>${escapeHtml(child.name)}\n${renderNode(child)}\n</li>`
+        );
+      }
+      return `<ul>\n${items.join("\n")}\n</ul>`;
+    };
+
+    return renderNode(entriesToTree(this.entries));
+  }
+}
+
+module.exports = Site;
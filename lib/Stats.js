@@ -1,19 +1,151 @@
 const errors = require("./errors");
+// attribute values are escaped the same way for xml as for html
+const escapeXml = require("./escapeHtml");
+
+function errorToMessage(error) {
+  if (error.message) {
+    return error.message;
+  }
+
+  // errors for a whole file carry the messages of their snippets
+  const errorInfo = errors.errorToInfo(error);
+  return errorInfo === null ? "" : errorInfo.join("\n");
+}
+
+function errorToResult(error) {
+  return error ? { name: error.name, message: errorToMessage(error) } : null;
+}
+
+function toSeconds(duration) {
+  return (duration / 1000).toFixed(3);
+}
+
+function junitFailure(error) {
+  return `<failure type="${escapeXml(error.name)}" message="${escapeXml(
+    errorToMessage(error)
+  )}"/>`;
+}
+
+const reporters = {
+  text(stats) {
+    const json = stats.toJSON();
+    const lines = [];
+
+    lines.push(
+      `processed ${json.total} file${json.total > 1 ? "s" : ""} ${
+        json.errored > 0 ? "with errors..." : "without errors"
+      }`
+    );
+
+    if (json.errored > 0) {
+      lines.push("");
+      for (const { file, error } of stats.errorEntries) {
+        const errorInfo = errors.errorToInfo(error);
+        if (errorInfo === null) {
+          lines.push(`"${file}" ${String(error)}`);
+          continue;
+        } else {
+          lines.push(`"${file}" ${error.name}:`);
+          lines.push(...errorInfo);
+        }
+      }
+    }
+
+    return lines.join("\n");
+  },
+
+  json(stats) {
+    const files = stats.fileEntries.map(({ file, error, results }) => ({
+      file,
+      error: errorToResult(error),
+      snippets: results
+    }));
+
+    return JSON.stringify({ ...stats.toJSON(), files }, null, 2);
+  },
+
+  junit(stats) {
+    const suites = stats.fileEntries.map(({ file, error, results }) => {
+      const testcases = results.map(result => ({
+        name: `snippet ${result.index} (line ${result.line})`,
+        duration: result.duration,
+        error: result.error
+      }));
+
+      // a file error not attributed to any snippet is reported separately
+      if (error && !testcases.some(testcase => testcase.error)) {
+        testcases.unshift({ name: "process file", duration: 0, error });
+      }
+
+      return { file, testcases };
+    });
+
+    const counts = { tests: 0, failures: 0 };
+    const suiteLines = [];
+
+    for (const { file, testcases } of suites) {
+      const classname = escapeXml(file);
+      const failures = testcases.filter(testcase => testcase.error).length;
+      const duration = testcases.reduce(
+        (sum, testcase) => sum + testcase.duration,
+        0
+      );
+
+      counts.tests += testcases.length;
+      counts.failures += failures;
+
+      suiteLines.push(
+        `  <testsuite name="${classname}" tests="${
+          testcases.length
+        }" failures="${failures}" time="${toSeconds(duration)}">`
+      );
+
+      for (const { name, duration, error } of testcases) {
+        const attributes = `name="${escapeXml(
+          name
+        )}" classname="${classname}" time="${toSeconds(duration)}"`;
+        if (error) {
+          suiteLines.push(`    <testcase ${attributes}>`);
+          suiteLines.push(`      ${junitFailure(error)}`);
+          suiteLines.push("    </testcase>");
+        } else {
+          suiteLines.push(`    <testcase ${attributes}/>`);
+        }
+      }
+
+      suiteLines.push("  </testsuite>");
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="evaldown" tests="${counts.tests}" failures="${counts.failures}">`,
+      ...suiteLines,
+      "</testsuites>"
+    ].join("\n");
+  }
+};
 
 class Stats {
   constructor() {
     this.succeeded = 0;
     this.errored = 0;
     this.errorEntries = [];
+    this.fileEntries = [];
   }
 
   addError(file, error) {
     this.errored += 1;
     this.errorEntries.push({ file, error });
+    this.fileEntries.push({
+      file,
+      error,
+      results: (error.data && error.data.results) || []
+    });
   }
 
-  addSuccess(file) {
+  addSuccess(file, results) {
     this.succeeded += 1;
+    this.fileEntries.push({ file, error: null, results: results || [] });
   }
 
   toJSON() {
@@ -25,32 +157,15 @@ class Stats {
     };
   }
 
-  toReport() {
-    const stats = this.toJSON();
-    const lines = [];
-
-    lines.push(
-      `processed ${stats.total} file${stats.total > 1 ? "s" : ""} ${
-        stats.errored > 0 ? "with errors..." : "without errors"
-      }`
-    );
-
-    if (stats.errored > 0) {
-      lines.push("");
-      for (const { file, error } of this.errorEntries) {
-        const errorInfo = errors.errorToInfo(error);
-        if (errorInfo === null) {
-          lines.push(`"${file}" ${String(error)}`);
-          continue;
-        } else {
-          lines.push(`"${file}" ${error.name}:`);
-          lines.push(...errorInfo);
-        }
-      }
+  toReport(reporter) {
+    const reporterName = typeof reporter === "string" ? reporter : "text";
+    if (!Stats.reporters[reporterName]) {
+      throw new Error(`Stats: Unsupported reporter "${reporter}"`);
     }
-
-    return lines.join("\n");
+    return Stats.reporters[reporterName](this);
   }
 }
 
+Stats.reporters = reporters;
+
 module.exports = Stats;
@@ -0,0 +1,152 @@
+const errors = require("./errors");
+
+const MAX_TITLE_LENGTH = 60;
+
+function errorToLines(error) {
+  if (error.name === "SnippetCheckError") {
+    return [error.message, ...error.data.diff.split("\n")];
+  } else if (error.data && error.data.original) {
+    return String(error.data.original).split("\n");
+  } else {
+    return errors.errorToOutput(error).split("\n");
+  }
+}
+
+function titleForTest(test, index) {
+  const firstLine = test.code
+    .split("\n")
+    .map(line => line.trim())
+    .find(line => line.length > 0);
+
+  if (!firstLine) {
+    return `snippet ${index + 1}`;
+  } else if (firstLine.length > MAX_TITLE_LENGTH) {
+    return `${firstLine.slice(0, MAX_TITLE_LENGTH - 3)}...`;
+  } else {
+    return firstLine;
+  }
+}
+
+const reporters = {
+  spec(testStats) {
+    const stats = testStats.toJSON();
+    const failures = [];
+    const lines = [""];
+
+    for (const { file, tests } of testStats.fileEntries) {
+      lines.push(`  ${file}`);
+      for (const test of tests) {
+        if (test.error) {
+          failures.push({ file, test });
+          lines.push(`    ${failures.length}) ${test.title}`);
+        } else {
+          lines.push(`    ✓ ${test.title}`);
+        }
+      }
+      lines.push("");
+    }
+
+    lines.push("");
+    lines.push(`  ${stats.passed} passing`);
+    if (stats.failed > 0) {
+      lines.push(`  ${stats.failed} failing`);
+    }
+
+    for (const [index, { file, test }] of failures.entries()) {
+      lines.push("");
+      lines.push(`  ${index + 1}) ${file}`);
+      lines.push(`       ${test.title}:`);
+      for (const errorLine of errorToLines(test.error)) {
+        lines.push(`     ${errorLine}`);
+      }
+    }
+
+    lines.push("");
+
+    return lines.join("\n");
+  },
+
+  tap(testStats) {
+    const stats = testStats.toJSON();
+    const lines = ["TAP version 13"];
+
+    let testNumber = 0;
+    for (const { file, tests } of testStats.fileEntries) {
+      for (const test of tests) {
+        testNumber += 1;
+        const description = `${file} ${test.title}`;
+        if (test.error) {
+          lines.push(`not ok ${testNumber} ${description}`);
+          lines.push("  ---");
+          lines.push("  message: |-");
+          for (const errorLine of errorToLines(test.error)) {
+            lines.push(`    ${errorLine}`);
+          }
+          lines.push("  ...");
+        } else {
+          lines.push(`ok ${testNumber} ${description}`);
+        }
+      }
+    }
+
+    lines.push(`1..${stats.total}`);
+    lines.push(`# tests ${stats.total}`);
+    lines.push(`# pass ${stats.passed}`);
+    lines.push(`# fail ${stats.failed}`);
+
+    return lines.join("\n");
+  }
+};
+
+class TestStats {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.fileEntries = [];
+  }
+
+  addError(file, error) {
+    this.failed += 1;
+    this.fileEntries.push({
+      file,
+      tests: [{ title: "evaluate file", error }]
+    });
+  }
+
+  addTests(file, tests) {
+    const entry = { file, tests: [] };
+
+    for (const [index, test] of tests.entries()) {
+      const error = test.error || null;
+      if (error) {
+        this.failed += 1;
+      } else {
+        this.passed += 1;
+      }
+      entry.tests.push({ title: titleForTest(test, index), error });
+    }
+
+    this.fileEntries.push(entry);
+  }
+
+  toJSON() {
+    const { passed, failed } = this;
+    return {
+      total: passed + failed,
+      passed,
+      failed
+    };
+  }
+
+  toReport(reporter) {
+    const reporterName = typeof reporter === "string" ? reporter : "spec";
+    if (!TestStats.reporters[reporterName]) {
+      throw new Error(`TestStats: Unsupported reporter "${reporter}"`);
+    }
+    return TestStats.reporters[reporterName](this);
+  }
+}
+
+TestStats.reporters = reporters;
+
+module.exports = TestStats;
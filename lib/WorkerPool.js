@@ -0,0 +1,95 @@
+const childProcess = require("child_process");
+const path = require("path");
+
+const debug = require("./debug").extend("WorkerPool");
+const errors = require("./errors");
+
+const WORKER_PATH = path.join(__dirname, "worker.js");
+
+function preparedFromJSON(prepared) {
+  const { checkErrors } = prepared;
+  if (!checkErrors) {
+    return prepared;
+  }
+
+  const checkErrorsFromJSON = {};
+  for (const [index, error] of Object.entries(checkErrors)) {
+    checkErrorsFromJSON[index] = errors.errorFromJSON(error);
+  }
+  return { ...prepared, checkErrors: checkErrorsFromJSON };
+}
+
+class WorkerPool {
+  constructor(size, options) {
+    this.size = size;
+    this.options = options;
+  }
+
+  runWorker(queue, results) {
+    return new Promise(resolve => {
+      const child = childProcess.fork(WORKER_PATH);
+      let currentFile = null;
+
+      debug("started worker %d", child.pid);
+
+      const prepareNextFile = () => {
+        if (queue.length === 0) {
+          currentFile = null;
+          child.disconnect();
+          return;
+        }
+        currentFile = queue.shift();
+        child.send({ type: "prepare", sourceFile: currentFile });
+      };
+
+      child.on("message", message => {
+        if (message.type !== "prepared") return;
+
+        const { sourceFile, error, prepared } = message;
+        if (error) {
+          results.set(sourceFile, { error: errors.errorFromJSON(error) });
+        } else {
+          results.set(sourceFile, { prepared: preparedFromJSON(prepared) });
+        }
+
+        prepareNextFile();
+      });
+
+      child.on("exit", code => {
+        debug("worker %d exited with code %d", child.pid, code);
+
+        if (currentFile !== null) {
+          results.set(currentFile, {
+            error: new Error(`worker exited with code ${code}`)
+          });
+        }
+        resolve();
+      });
+
+      child.send({ type: "init", options: this.options });
+      prepareNextFile();
+    });
+  }
+
+  async prepareFiles(sourceFiles) {
+    const queue = sourceFiles.slice();
+    const results = new Map();
+    const workerCount = Math.min(this.size, sourceFiles.length);
+
+    const workers = [];
+    for (let i = 0; i < workerCount; i += 1) {
+      workers.push(this.runWorker(queue, results));
+    }
+    await Promise.all(workers);
+
+    // report results in the order the files were supplied
+    return sourceFiles.map(sourceFile => {
+      const result = results.get(sourceFile) || {
+        error: new Error("no worker was available to process the file")
+      };
+      return { sourceFile, ...result };
+    });
+  }
+}
+
+module.exports = WorkerPool;
@@ -3,7 +3,10 @@ const fsExtra = require("fs-extra");
 const path = require("path");
 
 const Evaldown = require("./Evaldown");
+const errors = require("./errors");
 const resolve = require("./resolve");
+const Stats = require("./Stats");
+const TestStats = require("./TestStats");
 
 function validateIsFile(pathValue, pathKey) {
   let maybeDir;
@@ -52,6 +55,16 @@ function maybeValidateTsconfigPath(pwd, opts) {
   return tsconfigPath;
 }
 
+function maybeValidateTemplatePath(pwd, opts) {
+  if (!opts.templatePath) {
+    return;
+  }
+
+  const templatePath = validatePathInOpts(pwd, opts, "templatePath");
+  validateIsFile(templatePath, "templatePath");
+  return templatePath;
+}
+
 function maybeValidateAndPreloadRequire(pwd, opts) {
   if (!opts.require) {
     return;
@@ -60,10 +73,33 @@ function maybeValidateAndPreloadRequire(pwd, opts) {
   const modulePath = resolve.file(pwd, opts.require);
   return {
     content: fs.readFileSync(modulePath, "utf8"),
+    file: modulePath,
     path: path.dirname(modulePath)
   };
 }
 
+function validateReporter(reporter, reporters, cmdName) {
+  if (reporter === undefined || reporters[reporter]) {
+    return;
+  }
+
+  const choices = Object.keys(reporters)
+    .map(name => `"${name}"`)
+    .join(", ");
+  throw new Error(
+    `Unsupported reporter "${reporter}" when ${cmdName} (choose from ${choices})`
+  );
+}
+
+function report(cons, stats, reporter) {
+  if (!reporter || reporter === "text") {
+    cons.error(stats.toReport());
+  } else {
+    // machine-readable reports are written to stdout for redirection
+    cons.log(stats.toReport(reporter));
+  }
+}
+
 const byPathCmdValidators = {
   file: validateIsFile,
   files: validateIsDir
@@ -94,19 +130,32 @@ exports.byPath = async (pwd, opts) => {
 
 exports.file = async (pwd, opts) => {
   const cons = opts._cons || console;
+  if (opts.watch) {
+    throw new Error('the "watch" option requires a directory');
+  }
+  if (opts.site) {
+    throw new Error('the "site" option requires a directory');
+  }
+  if (opts.reporter) {
+    // a single file is written out rather than reported on
+    throw new Error('the "reporter" option requires a directory');
+  }
   const sourceFile = validatePath(pwd, opts._[0], "file");
   validateIsFile(sourceFile, "sourceFile");
 
   opts.tsconfigPath = maybeValidateTsconfigPath(pwd, opts);
+  opts.templatePath = maybeValidateTemplatePath(pwd, opts);
 
   let preloaded;
   if ((preloaded = maybeValidateAndPreloadRequire(pwd, opts))) {
-    const { content, path } = preloaded;
+    const { content, file, path } = preloaded;
     opts.filePreamble = content;
+    opts.filePreamblePath = file;
     opts.requirePath = path;
   }
 
   opts.outputFormat = opts.format;
+  opts.outputPage = opts.page;
   if (!opts.outputFormat || opts.inplace) {
     opts.outputFormat = "markdown";
   }
@@ -116,6 +165,10 @@ exports.file = async (pwd, opts) => {
     sourcePath: pwd
   });
   const sourceRelativePath = path.relative(pwd, sourceFile);
+  if (opts.check) {
+    await evaldown.processFile(sourceRelativePath);
+    return;
+  }
   if (opts.inplace || opts.update) {
     await evaldown.processFile(sourceRelativePath);
   }
@@ -127,6 +180,7 @@ exports.file = async (pwd, opts) => {
 
 exports.files = async (pwd, opts) => {
   const cons = opts._cons || console;
+  validateReporter(opts.reporter, Stats.reporters, "processing files");
   const sourcePath = validatePathInOpts(pwd, opts, "sourcePath");
   validateIsDir(sourcePath, "sourcePath");
 
@@ -138,7 +192,7 @@ exports.files = async (pwd, opts) => {
     // create the output directory if necessary
     await fsExtra.ensureDir(targetPath);
   } catch (e) {
-    if (opts.inplace) {
+    if (opts.inplace || opts.check) {
       targetPath = null;
     } else {
       throw e;
@@ -146,15 +200,18 @@ exports.files = async (pwd, opts) => {
   }
 
   opts.tsconfigPath = maybeValidateTsconfigPath(pwd, opts);
+  opts.templatePath = maybeValidateTemplatePath(pwd, opts);
 
   let preloaded;
   if ((preloaded = maybeValidateAndPreloadRequire(pwd, opts))) {
-    const { content, path } = preloaded;
+    const { content, file, path } = preloaded;
     opts.filePreamble = content;
+    opts.filePreamblePath = file;
     opts.requirePath = path;
   }
 
   opts.outputFormat = opts.format;
+  opts.outputPage = opts.page;
 
   const evaldown = new Evaldown({
     ...opts,
@@ -162,6 +219,66 @@ exports.files = async (pwd, opts) => {
     targetPath
   });
   const stats = await evaldown.processFiles();
-  cons.error(stats.toReport());
+  report(cons, stats, opts.reporter);
+  if (opts.watch) {
+    const watcher = evaldown.watchFiles(
+      changedStats => report(cons, changedStats, opts.reporter),
+      // keep watching but let the user know the changes were not processed
+      e => cons.error(errors.errorToOutput(e))
+    );
+    await watcher.ready;
+    return watcher;
+  }
+  if (opts.check && stats.errored > 0) {
+    throw new Error(
+      `check failed for ${stats.errored} file${stats.errored > 1 ? "s" : ""}`
+    );
+  }
   return stats.toJSON();
 };
+
+exports.test = async (pwd, opts) => {
+  const cons = opts._cons || console;
+  validateReporter(opts.reporter, TestStats.reporters, "testing");
+  const testPath =
+    opts._.length > 0
+      ? validatePath(pwd, opts._[0], "path")
+      : validatePathInOpts(pwd, opts, "sourcePath");
+
+  let sourcePath;
+  let sourceFiles;
+  try {
+    validateIsFile(testPath, "path");
+    sourcePath = path.dirname(testPath);
+    sourceFiles = [path.basename(testPath)];
+  } catch (e) {
+    validateIsDir(testPath, "path");
+    sourcePath = testPath;
+    sourceFiles = undefined;
+  }
+
+  opts.tsconfigPath = maybeValidateTsconfigPath(pwd, opts);
+
+  let preloaded;
+  if ((preloaded = maybeValidateAndPreloadRequire(pwd, opts))) {
+    const { content, file, path } = preloaded;
+    opts.filePreamble = content;
+    opts.filePreamblePath = file;
+    opts.requirePath = path;
+  }
+
+  const evaldown = new Evaldown({
+    ...opts,
+    sourcePath
+  });
+  const testStats = await evaldown.test(sourceFiles);
+  cons.log(testStats.toReport(opts.reporter));
+  if (testStats.failed > 0) {
+    throw new Error(
+      `${testStats.failed} snippet test${
+        testStats.failed > 1 ? "s" : ""
+      } failed`
+    );
+  }
+  return testStats.toJSON();
+};
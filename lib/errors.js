@@ -18,12 +18,32 @@ exports.TargetFileError = createError({
   name: "TargetFileError"
 });
 
+exports.TemplateFileError = createError({
+  name: "TemplateFileError"
+});
+
 // Runtime errors
 
+exports.FileCheckError = createError({
+  name: "FileCheckError"
+});
+
 exports.FileEvaluationError = createError({
   name: "FileEvaluationError"
 });
 
+exports.FileLinkError = createError({
+  name: "FileLinkError"
+});
+
+exports.FileMetadataError = createError({
+  name: "FileMetadataError"
+});
+
+exports.SnippetCheckError = createError({
+  name: "SnippetCheckError"
+});
+
 exports.SnippetEvaluationError = createError({
   name: "SnippetEvaluationError"
 });
@@ -32,16 +52,46 @@ exports.SnippetProcessingError = createError({
   name: "SnippetProcessingError"
 });
 
+exports.SnippetTimeoutError = createError({
+  name: "SnippetTimeoutError"
+});
+
+exports.SnippetTypeError = createError({
+  name: "SnippetTypeError"
+});
+
 // Error logic
 
+function errorToLabel(index, data) {
+  return data && data.line ? `line ${data.line}` : index;
+}
+
 exports.errorToInfo = function errorToInfo(e) {
   if (e.name === "FileEvaluationError") {
     const lines = [];
     for (const [index, error] of Object.entries(e.data.errors)) {
       const { data } = error;
-      lines.push(`  - [${index}] ${String(data.original)}`);
+      const detail = data && data.original ? data.original : error;
+      lines.push(`  - [${errorToLabel(index, data)}] ${String(detail)}`);
+      if (data && data.codeFrame) {
+        for (const frameLine of data.codeFrame.split("\n")) {
+          lines.push(`    ${frameLine}`);
+        }
+      }
+    }
+    return lines;
+  } else if (e.name === "FileCheckError") {
+    const lines = [];
+    for (const [index, error] of Object.entries(e.data.errors)) {
+      const { data } = error;
+      lines.push(`  - [${errorToLabel(index, data)}] ${error.message}`);
+      for (const diffLine of data.diff.split("\n")) {
+        lines.push(`    ${diffLine}`);
+      }
     }
     return lines;
+  } else if (e.name === "FileLinkError") {
+    return e.data.links.map(link => `  - "${link}"`);
   }
   return null;
 };
@@ -49,6 +99,10 @@ exports.errorToInfo = function errorToInfo(e) {
 function errorToHeadline(e) {
   if (e.name === "FileEvaluationError") {
     return `${e.name}\nsnippets with errors:`;
+  } else if (e.name === "FileCheckError") {
+    return `${e.name}\nsnippets with stale output:`;
+  } else if (e.name === "FileLinkError") {
+    return `${e.name}\nbroken links:`;
   } else {
     return `${e.name}:`;
   }
@@ -62,3 +116,64 @@ exports.errorToOutput = function errorToOutput(e) {
   }
   return process.env.DEBUG ? e.stack : String(e);
 };
+
+// Error serialisation
+
+function isErrorClass(name) {
+  const ErrorClass = exports[name];
+  return (
+    typeof ErrorClass === "function" && ErrorClass.prototype instanceof Error
+  );
+}
+
+function dataToJSON(value) {
+  if (value instanceof Error) {
+    return exports.errorToJSON(value);
+  } else if (value && typeof value === "object" && !Array.isArray(value)) {
+    const json = {};
+    for (const [key, entry] of Object.entries(value)) {
+      json[key] = dataToJSON(entry);
+    }
+    return json;
+  }
+  return value;
+}
+
+function dataFromJSON(json) {
+  if (json && json.isError === true) {
+    return exports.errorFromJSON(json);
+  } else if (json && typeof json === "object" && !Array.isArray(json)) {
+    const value = {};
+    for (const [key, entry] of Object.entries(json)) {
+      value[key] = dataFromJSON(entry);
+    }
+    return value;
+  }
+  return json;
+}
+
+exports.errorToJSON = function errorToJSON(e) {
+  return {
+    isError: true,
+    name: e.name,
+    message: e.message,
+    stack: e.stack,
+    data: e.data ? dataToJSON(e.data) : undefined
+  };
+};
+
+exports.errorFromJSON = function errorFromJSON(json) {
+  const { name, message, stack } = json;
+  const data = json.data ? dataFromJSON(json.data) : undefined;
+
+  let error;
+  if (isErrorClass(name)) {
+    error = new exports[name]({ message, data });
+  } else {
+    error = new Error(message);
+    error.name = name;
+  }
+  error.stack = stack;
+
+  return error;
+};
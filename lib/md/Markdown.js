@@ -1,22 +1,94 @@
 var Snippets = require("./Snippets");
+var canEvaluate = require("./canEvaluate");
 var cleanStackTrace = require("./cleanStackTrace");
+var codeFrame = require("./codeFrame");
 var createExpect = require("./createExpect");
+var errors = require("../errors");
+var fileOptions = require("./fileOptions");
+var { isLifecycleSnippet } = require("./lifecycle");
+var fs = require("fs").promises;
 var marked = require("marked-papandreou");
+var path = require("path");
+var yaml = require("js-yaml");
 
 const InspectedConsole = require("../InspectedConsole");
+const resolve = require("../resolve");
 
-const metadataRegexp = /^---\n((?:\w+: .+\n)+)---\n/m;
+const metadataRegexp = /^---\n((?:.*\n)*?)---(?:\n|$)/;
 var styleRegex = /style=".*?"/;
 
 function flagsToHtmlComment(marker, flags) {
   const parts = [];
   for (const [key, value] of Object.entries(flags)) {
     if (key === "evaluate" && value) continue;
-    parts.push(`${key}:${value}`);
+    const text = typeof value === "string" ? JSON.stringify(value) : value;
+    parts.push(`${key}:${text}`);
   }
   return `<-- ${marker} ${parts.join(", ")}${parts.length > 0 ? " " : ""}-->`;
 }
 
+function createCheckError(expect, actual, expected, message) {
+  return new errors.SnippetCheckError({
+    message: message || "output block is stale",
+    data: {
+      actual,
+      expected,
+      diff: expect.diff(actual, expected).toString("text")
+    }
+  });
+}
+
+function isStaleInclude(snippet) {
+  return snippet.blockCode !== undefined && snippet.blockCode !== snippet.code;
+}
+
+function headingToId(text) {
+  // match the identifiers assigned to headings by marked
+  return text.toLowerCase().replace(/[^\w]+/g, "-");
+}
+
+function errorToResult(error) {
+  return error ? { name: error.name, message: error.message } : null;
+}
+
+function locateSnippetError(content, snippet, error) {
+  // translate any position within the snippet code to the markdown source
+  const data = error.data || (error.data = {});
+  const { position } = data;
+  let line;
+  let column;
+  if (typeof data.line === "number") {
+    // errors in flags are located when the snippets are extracted
+    line = data.line;
+    column = typeof data.column === "number" ? data.column : null;
+  } else if (position && snippet.blockCode === undefined) {
+    // positions within included code do not correspond to the markdown
+    line = snippet.codeLine + position.line - 1;
+    column = position.column;
+  } else {
+    line = snippet.codeLine;
+    column = null;
+  }
+
+  data.line = line;
+  data.column = column;
+  data.codeFrame = codeFrame(content, line, column);
+}
+
+function outputTextForSnippet(snippet, sourceSnippet) {
+  let output = "";
+  if (sourceSnippet.output) {
+    output = sourceSnippet.output.text;
+    if (
+      sourceSnippet.output.kind === "error" &&
+      snippet.flags.cleanStackTrace
+    ) {
+      output = cleanStackTrace(output);
+    }
+  }
+  return output;
+}
+
 function maybeRemoveNewlines(str, startIndex, maxRemovals) {
   let removedCount = 0;
   while (removedCount < maxRemovals) {
@@ -45,6 +117,7 @@ class Markdown {
   constructor(content, options) {
     this.content = content;
     this.metadata = this._parseMetadata();
+    this.fileOptions = fileOptions(this.metadata);
     this.options = options || {};
     this.marker = Snippets.checkMarker(this.options.marker);
 
@@ -67,15 +140,68 @@ class Markdown {
   _parseMetadata() {
     const matches = metadataRegexp.exec(this.content);
     if (!matches) return {};
-    const pairs = matches[1].slice(0, -1).split("\n");
-    const metadata = {};
-    for (const pair of pairs) {
-      const [option, value] = pair.split(": ");
-      metadata[option] = value;
+
+    let metadata;
+    try {
+      // the core schema leaves dates as strings so metadata stays serialisable
+      metadata = yaml.safeLoad(matches[1], { schema: yaml.CORE_SCHEMA });
+    } catch (e) {
+      // the front matter begins on the line after its opening marker
+      const line = e.mark ? e.mark.line + 2 : 1;
+      throw new errors.FileMetadataError({
+        message: `malformed front matter on line ${line}: ${e.reason}`,
+        data: { line, original: e }
+      });
+    }
+
+    if (metadata === undefined || metadata === null) {
+      return {};
+    } else if (typeof metadata !== "object" || Array.isArray(metadata)) {
+      throw new errors.FileMetadataError({
+        message: "malformed front matter: expected key value pairs",
+        data: { line: 1 }
+      });
     }
     return metadata;
   }
 
+  async _applyFileOptions(options) {
+    const { capture, globals, isolation, timeout, tsconfig } = this.fileOptions;
+    const { pwdPath } = options;
+    const applied = { ...options };
+
+    if (capture) applied.capture = capture;
+    if (isolation) applied.isolation = isolation;
+    if (timeout) applied.timeout = timeout;
+
+    if (globals) {
+      applied.fileGlobals = { ...options.fileGlobals };
+      for (const [variable, value] of Object.entries(globals)) {
+        applied.fileGlobals[variable] = () => value;
+      }
+    }
+
+    if (this.fileOptions.require) {
+      let modulePath;
+      try {
+        modulePath = resolve.file(pwdPath, this.fileOptions.require);
+        applied.preamble = await fs.readFile(modulePath, "utf8");
+      } catch (e) {
+        throw new errors.FileMetadataError({
+          message: `unable to load "require" from front matter: ${e.message}`,
+          data: { original: e }
+        });
+      }
+      applied.requirePath = path.dirname(modulePath);
+    }
+
+    if (tsconfig) {
+      applied.tsconfigPath = path.resolve(pwdPath, tsconfig);
+    }
+
+    return applied;
+  }
+
   _prepareOptions(options) {
     return {
       ...this.options,
@@ -84,6 +210,47 @@ class Markdown {
     };
   }
 
+  checkExamples() {
+    const snippets = this.snippets;
+    if (!(snippets && snippets.evaluated)) {
+      throw new Error("snippets were not evaluated");
+    }
+
+    const checkErrors = {};
+
+    for (const [index, snippet] of snippets.entries()) {
+      if (isStaleInclude(snippet)) {
+        checkErrors[index] = createCheckError(
+          this.baseExpect,
+          snippet.blockCode,
+          snippet.code,
+          "included code is stale"
+        );
+        locateSnippetError(this.content, snippet, checkErrors[index]);
+        continue;
+      }
+      if (snippet.lang !== "output") continue;
+
+      const sourceSnippet = snippets.sourceFor(index);
+      if (
+        snippet.flags.ignore ||
+        sourceSnippet.flags.ignore ||
+        !(canEvaluate(sourceSnippet) && sourceSnippet.flags.evaluate)
+      ) {
+        continue;
+      }
+
+      const actual = snippet.code;
+      const expected = outputTextForSnippet(snippet, sourceSnippet);
+      if (actual === expected) continue;
+
+      checkErrors[index] = createCheckError(this.baseExpect, actual, expected);
+      locateSnippetError(this.content, snippet, checkErrors[index]);
+    }
+
+    return Object.keys(checkErrors).length > 0 ? checkErrors : null;
+  }
+
   getExpect() {
     return this.evalExpect || this.baseExpect;
   }
@@ -92,10 +259,88 @@ class Markdown {
     this.evalExpect = expect;
   }
 
+  getTests() {
+    const snippets = this.snippets;
+    if (!(snippets && snippets.evaluated)) {
+      throw new Error("snippets were not evaluated");
+    }
+
+    return snippets.getTests().map(test => {
+      let error = test.error;
+
+      if (!error && test.output !== null) {
+        const actual = test.output;
+        const expected = outputTextForSnippet(
+          { flags: test.outputFlags },
+          { output: test.evaluated }
+        );
+        if (actual !== expected) {
+          error = createCheckError(this.baseExpect, actual, expected);
+        }
+      }
+
+      return { ...test, error };
+    });
+  }
+
+  getHeadings() {
+    const content = this.content.replace(metadataRegexp, "");
+
+    return marked
+      .lexer(content)
+      .filter(token => token.type === "heading")
+      .map(({ depth, text }) => ({ depth, text, id: headingToId(text) }));
+  }
+
+  getTitle() {
+    const firstHeading = this.getHeadings().find(({ depth }) => depth === 1);
+    const { title } = this.metadata;
+    if (title !== undefined && title !== null && title !== "") {
+      return String(title);
+    }
+    return firstHeading ? firstHeading.text : "";
+  }
+
+  getResults() {
+    const snippets = this.snippets;
+    if (!(snippets && snippets.evaluated)) {
+      throw new Error("snippets were not evaluated");
+    }
+
+    const results = [];
+
+    for (const [index, snippet] of snippets.entries()) {
+      const error = snippets.evaluationErrors[index] || null;
+      if (!(error || (canEvaluate(snippet) && snippet.flags.evaluate))) {
+        continue;
+      }
+
+      results.push({
+        index,
+        line: snippet.codeLine,
+        lang: snippet.lang,
+        flags: snippet.flags,
+        duration: typeof snippet.duration === "number" ? snippet.duration : 0,
+        error: errorToResult(error)
+      });
+    }
+
+    return results;
+  }
+
   getSnippets() {
     if (!this.snippets) {
+      const defaultFlags = {};
+      if (this.fileOptions.freshContext) defaultFlags.freshContext = true;
+      if (this.fileOptions.skip) defaultFlags.evaluate = false;
+
       this.snippets = Snippets.fromMarkdown(this.content, {
-        marker: this.marker
+        marker: this.marker,
+        languages: [
+          ...Object.keys(this.options.transpilers || {}),
+          ...Object.keys(this.options.runners || {})
+        ],
+        defaultFlags
       });
     }
 
@@ -103,23 +348,33 @@ class Markdown {
   }
 
   async evaluate(options) {
-    options = this._prepareOptions(options);
+    options = await this._applyFileOptions(this._prepareOptions(options));
     const evalOpts = { markdown: this, ...options };
 
     const snippets = this.getSnippets();
-    await snippets.evaluate(evalOpts);
+    try {
+      await snippets.evaluate(evalOpts);
+    } catch (e) {
+      if (e.name === "FileEvaluationError") {
+        for (const [index, error] of Object.entries(e.data.errors)) {
+          locateSnippetError(this.content, snippets.get(index), error);
+        }
+      }
+      throw e;
+    }
   }
 
   toHtml(options) {
     options = this._prepareOptions(options);
-    return marked(this.content, options);
+    // metadata describes the page rather than forming part of its content
+    return marked(this.content.replace(metadataRegexp, ""), options);
   }
 
   toText() {
     return this.content;
   }
 
-  async withExamples(onSnippet) {
+  async withExamples(onSnippet, { keepHidden = false } = {}) {
     const snippets = this.snippets;
     if (!(snippets && snippets.evaluated)) {
       throw new Error("snippets were not evaluated");
@@ -128,27 +383,31 @@ class Markdown {
     let updatedContent = this.content.slice(0);
     let blockDelta = 0;
     for (const [index, snippet] of snippets.entries()) {
-      // the presence of a matching previous snippet
+      // the presence of a matching source snippet
       // is gauranteed for every output block at the
       // point that snippet evaluation is requested
-      const previousSnippet = index > 0 ? snippets.get(index - 1) : null;
+      const sourceSnippet =
+        snippet.lang === "output" ? snippets.sourceFor(index) : null;
 
       // check whether the snippet should be ignored
       if (
         snippet.flags.ignore ||
-        (snippet.lang === "output" && previousSnippet.flags.ignore)
+        (snippet.lang === "output" && sourceSnippet.flags.ignore)
       ) {
         continue;
       }
 
       const blockLength = snippet.indexEnd - snippet.index;
-      const blockRendered = onSnippet(snippet, previousSnippet);
+      const blockRendered = onSnippet(snippet, sourceSnippet);
 
       if (blockRendered === null) {
         continue;
       }
 
-      const blockToRender = snippet.flags.hide ? "" : blockRendered;
+      // setup and teardown blocks support the examples so are never shown
+      const isHidden =
+        !keepHidden && (snippet.flags.hide || isLifecycleSnippet(snippet));
+      const blockToRender = isHidden ? "" : blockRendered;
 
       updatedContent = spliceString(
         updatedContent,
@@ -159,7 +418,7 @@ class Markdown {
 
       blockDelta += blockToRender.length - blockLength;
 
-      if (snippet.flags.hide) {
+      if (isHidden) {
         const indexAfterBlock = snippet.indexEnd + blockDelta;
         const [str, removedCount] = maybeRemoveNewlines(
           updatedContent,
@@ -175,16 +434,16 @@ class Markdown {
   }
 
   async withInlinedExamples() {
-    const onSnippet = (snippet, previousSnippet) => {
+    const onSnippet = (snippet, sourceSnippet) => {
       const { code, lang } = snippet;
 
       let blockRendered;
 
       if (lang === "output") {
-        const previousSnippetOutput = previousSnippet.output;
+        const sourceSnippetOutput = sourceSnippet.output;
 
-        if (previousSnippetOutput && previousSnippetOutput.kind !== "") {
-          blockRendered = previousSnippetOutput.html.replace(
+        if (sourceSnippetOutput && sourceSnippetOutput.kind !== "") {
+          blockRendered = sourceSnippetOutput.html.replace(
             styleRegex,
             'class="output"'
           );
@@ -212,34 +471,41 @@ class Markdown {
   }
 
   async withUpdatedExamples() {
-    const onSnippet = (snippet, previousSnippet) => {
+    const onSnippet = (snippet, sourceSnippet) => {
       const { code, lang, comment } = snippet;
 
       if (lang === "output") {
-        var output = "";
-        if (previousSnippet.output) {
-          output = previousSnippet.output.text;
-          if (
-            previousSnippet.output.kind === "error" &&
-            snippet.flags.cleanStackTrace
-          ) {
-            output = cleanStackTrace(output);
-          }
-        }
+        const output = outputTextForSnippet(snippet, sourceSnippet);
 
         return `${comment || ""}\`\`\`${lang}\n${output}\n\`\`\``;
+      } else if (isStaleInclude(snippet) && !snippet.includesLegacyFlags) {
+        // replace only the code so the rest of the block is kept as written
+        const { index, indexEnd, codeIndex, codeIndexEnd } = snippet;
+        const codeSuffix = snippet.blockCode === "" ? "\n" : "";
+        return [
+          this.content.slice(index, codeIndex),
+          code,
+          codeSuffix,
+          this.content.slice(codeIndexEnd, indexEnd)
+        ].join("");
       } else if (snippet.includesLegacyFlags) {
         let htmlComments = flagsToHtmlComment(this.marker, snippet.flags);
         if (htmlComments.length > 0) htmlComments += "\n";
         return `${htmlComments}\`\`\`${lang}\n${code}\n\`\`\``;
-      } else if (snippet.flags.hide && !this.options.inplace) {
+      } else if (
+        (snippet.flags.hide || isLifecycleSnippet(snippet)) &&
+        !this.options.inplace
+      ) {
         return "";
       } else {
         return null;
       }
     };
 
-    const updatedContent = await this.withExamples(onSnippet);
+    // blocks written back to the source must survive however they are shown
+    const updatedContent = await this.withExamples(onSnippet, {
+      keepHidden: !!this.options.inplace
+    });
     return new Markdown(updatedContent, this.options);
   }
 }
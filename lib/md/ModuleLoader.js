@@ -0,0 +1,118 @@
+const Module = require("module");
+const path = require("path");
+
+const builtinModules = new Set(Module.builtinModules);
+
+function isBuiltin(id) {
+  return builtinModules.has(id.replace(/^node:/, ""));
+}
+
+function isFixedProperty(target, key) {
+  const descriptor = Reflect.getOwnPropertyDescriptor(target, key);
+  return !!descriptor && !descriptor.configurable && !descriptor.writable;
+}
+
+function createOverlay(target) {
+  // changes are kept on the side so the shared module is left untouched
+  const overlay = new Map();
+
+  return new Proxy(target, {
+    get: (target, key) =>
+      overlay.has(key) ? overlay.get(key) : Reflect.get(target, key),
+    set: (target, key, value) => {
+      if (isFixedProperty(target, key)) return false;
+      overlay.set(key, value);
+      return true;
+    },
+    has: (target, key) => overlay.has(key) || Reflect.has(target, key),
+    deleteProperty: (target, key) => {
+      overlay.delete(key);
+      return true;
+    },
+    defineProperty: (target, key, descriptor) => {
+      if (
+        !("value" in descriptor) ||
+        descriptor.configurable === false ||
+        isFixedProperty(target, key)
+      ) {
+        return false;
+      }
+      overlay.set(key, descriptor.value);
+      return true;
+    },
+    getOwnPropertyDescriptor: (target, key) =>
+      overlay.has(key)
+        ? {
+            value: overlay.get(key),
+            writable: true,
+            enumerable: true,
+            configurable: true
+          }
+        : Reflect.getOwnPropertyDescriptor(target, key),
+    ownKeys: target =>
+      Array.from(new Set([...Reflect.ownKeys(target), ...overlay.keys()]))
+  });
+}
+
+/**
+ * Loads modules with a cache of its own rather than that of the process,
+ * such that changes made to modules by one file are not seen by another.
+ */
+class ModuleLoader {
+  constructor() {
+    this.cache = Object.create(null);
+    this.builtins = new Map();
+  }
+
+  createRequire(dirPath) {
+    const parent = new Module(path.join(dirPath, "noop.js"));
+    parent.filename = parent.id;
+    parent.paths = Module._nodeModulePaths(dirPath);
+    return this.requireFrom(parent);
+  }
+
+  requireFrom(parent) {
+    const require = id => this.load(id, parent);
+    require.resolve = id =>
+      isBuiltin(id) ? id : Module._resolveFilename(id, parent);
+    require.cache = this.cache;
+    return require;
+  }
+
+  load(id, parent) {
+    if (isBuiltin(id)) {
+      return this.loadBuiltin(id);
+    }
+
+    const filename = Module._resolveFilename(id, parent);
+    const cached = this.cache[filename];
+    if (cached) {
+      return cached.exports;
+    }
+
+    const module = new Module(filename, parent);
+    module.filename = filename;
+    module.paths = Module._nodeModulePaths(path.dirname(filename));
+    // requires made by the module itself are loaded in the same way
+    module.require = this.requireFrom(module);
+
+    this.cache[filename] = module;
+    try {
+      module.load(filename);
+    } catch (e) {
+      delete this.cache[filename];
+      throw e;
+    }
+    return module.exports;
+  }
+
+  loadBuiltin(id) {
+    const name = id.replace(/^node:/, "");
+    if (!this.builtins.has(name)) {
+      this.builtins.set(name, createOverlay(require(name)));
+    }
+    return this.builtins.get(name);
+  }
+}
+
+module.exports = ModuleLoader;
@@ -2,25 +2,77 @@ var canEvaluate = require("./canEvaluate");
 var errors = require("../errors");
 var extractSnippets = require("./extractSnippets");
 var evaluateSnippets = require("./evaluateSnippets");
+var includeSnippets = require("./includeSnippets");
+var inferSnippetTypes = require("./inferSnippetTypes");
+var { isLifecycleSnippet } = require("./lifecycle");
 var transpileSnippets = require("./transpileSnippets");
+var typecheckSnippets = require("./typecheckSnippets");
 
 class Snippets {
   constructor(snippets) {
     this.evaluated = false;
+    this.evaluationErrors = {};
     this.items = snippets;
   }
 
   check() {
     const checkErrors = {};
+    const namedSnippets = new Map();
+
+    const findNamed = (name, purpose) => {
+      const namedSnippet = namedSnippets.get(name);
+      if (!namedSnippet) {
+        throw new Error(`no snippet named "${name}" to ${purpose}`);
+      }
+      return namedSnippet;
+    };
 
     for (const [index, snippet] of this.entries()) {
       const previousSnippet = index > 0 ? this.get(index - 1) : {};
-      if (snippet.lang !== "output") continue;
+      const flags = snippet.flags || {};
+      const [flagError] = snippet.flagErrors || [];
+      if (flagError) {
+        const { message, line, column } = flagError;
+        checkErrors[index] = new errors.SnippetProcessingError({
+          message,
+          data: { line, column }
+        });
+        continue;
+      }
       try {
-        if (!canEvaluate(previousSnippet)) {
+        if (snippet.includeError) {
+          throw new Error(snippet.includeError);
+        } else if (snippet.lang !== "output") {
+          if (typeof flags.use === "string") {
+            findNamed(flags.use, "use");
+          }
+          if (flags.expectTypeError && snippet.lang !== "typescript") {
+            throw new Error(
+              "cannot expect a type error from a snippet which is not TypeScript"
+            );
+          } else if (flags.types && snippet.lang !== "typescript") {
+            throw new Error(
+              "cannot capture the types of a snippet which is not TypeScript"
+            );
+          }
+          if (typeof flags.name === "string") {
+            if (namedSnippets.has(flags.name)) {
+              throw new Error(`duplicate snippet name "${flags.name}"`);
+            } else if (!canEvaluate(snippet)) {
+              throw new Error(`cannot name a snippet which is not evaluated`);
+            }
+            namedSnippets.set(flags.name, snippet);
+          }
+        } else if (typeof flags.from === "string") {
+          findNamed(flags.from, "output");
+        } else if (!canEvaluate(previousSnippet)) {
           throw new Error(`no matching code block for output snippet`);
         } else if (previousSnippet.flags.hide) {
           throw new Error(`cannot match hidden code block to output snippet`);
+        } else if (isLifecycleSnippet(previousSnippet)) {
+          throw new Error(
+            `cannot match setup or teardown code block to output snippet`
+          );
         }
       } catch (e) {
         checkErrors[index] = new errors.SnippetProcessingError({
@@ -44,27 +96,46 @@ class Snippets {
     options.preamble = options.preamble || "";
     const snippets = this.items;
 
-    // check whether TypeScript support is required
-    const hasTsSnippets = snippets.some(
-      snippet => snippet.lang === "typescript" && snippet.flags.evaluate
-    );
-    if (hasTsSnippets) {
-      if (options.transpileFn) {
-        throw new Error(
-          "transpileFn cannot be specified with TypeScript snippets"
-        );
+    // pull the code of any included files into their snippets
+    await includeSnippets(snippets, options);
+
+    // each language is transformed by the transpiler registered for it
+    const transpilers = { ...options.transpilers };
+    if (typeof options.transpileFn === "function" && !transpilers.javascript) {
+      transpilers.javascript = options.transpileFn;
+    }
+
+    const snippetsByLang = new Map();
+    for (const snippet of snippets) {
+      if (!(canEvaluate(snippet) && snippet.flags.evaluate)) continue;
+      if (!snippetsByLang.has(snippet.lang)) {
+        snippetsByLang.set(snippet.lang, []);
       }
+      snippetsByLang.get(snippet.lang).push(snippet);
+    }
+
+    // check whether TypeScript support is required
+    if (snippetsByLang.has("typescript") && !transpilers.typescript) {
       if (!options.tsconfigPath) {
         throw new Error("tsconfig must be specified with TypeScript snippets");
       }
-      options.transpileFn = transpileSnippets.createTranspileTypescript(
+      transpilers.typescript = transpileSnippets.createTranspileTypescript(
         options.tsconfigPath
       );
     }
 
-    if (typeof options.transpileFn === "function") {
-      if (options.preamble) options.preamble += "\n";
-      options.preamble += transpileSnippets(snippets, options);
+    for (const [lang, langSnippets] of snippetsByLang) {
+      const transpileFn = transpilers[lang];
+      if (typeof transpileFn !== "function") continue;
+
+      const injectedCode = transpileSnippets(langSnippets, {
+        ...options,
+        transpileFn
+      });
+      if (injectedCode) {
+        if (options.preamble) options.preamble += "\n";
+        options.preamble += injectedCode;
+      }
     }
 
     let snippetErrors;
@@ -73,11 +144,18 @@ class Snippets {
     if (checkErrors) {
       snippetErrors = checkErrors;
     } else {
+      const typeErrors = options.typecheck
+        ? typecheckSnippets(snippets, options)
+        : {};
+      inferSnippetTypes(snippets, options);
       snippetErrors = await evaluateSnippets(snippets, options);
+      // a type error is the underlying cause of any failure to evaluate
+      Object.assign(snippetErrors, typeErrors);
     }
 
     // record evaluation
     this.evaluated = true;
+    this.evaluationErrors = snippetErrors;
 
     // signal an error if any of the snippets failed
     if (Object.keys(snippetErrors).length > 0) {
@@ -91,6 +169,23 @@ class Snippets {
     return this.items[index];
   }
 
+  getNamed(name) {
+    return (
+      this.items.find(
+        snippet => snippet.flags && snippet.flags.name === name
+      ) || null
+    );
+  }
+
+  sourceFor(index) {
+    // the snippet whose output is shown by an output block
+    const { flags } = this.get(index);
+    if (flags && typeof flags.from === "string") {
+      return this.getNamed(flags.from);
+    }
+    return index > 0 ? this.get(index - 1) : null;
+  }
+
   getTests() {
     var tests = [];
     var evaluatedExampleIndex;
@@ -105,21 +200,29 @@ class Snippets {
     for (const [index, snippet] of this.entries()) {
       var flags = snippet.flags;
 
-      switch (snippet.lang) {
-        case "javascript":
-          if (flags.evaluate) {
-            evaluatedExampleIndex = index;
-            tests.push({
-              ...snippet,
-              output: null
-            });
-          }
-          break;
-        case "output":
-          if (evaluatedExampleIndex === index - 1) {
-            tests[tests.length - 1].output = snippet.code;
-          }
-          break;
+      if (canEvaluate(snippet)) {
+        if (flags.evaluate && !isLifecycleSnippet(snippet)) {
+          evaluatedExampleIndex = index;
+          tests.push({
+            ...snippet,
+            output: null,
+            outputFlags: null,
+            evaluated: snippet.output,
+            error: this.evaluationErrors[index] || null
+          });
+        }
+      } else if (snippet.lang === "output") {
+        let pairedTest = null;
+        if (typeof flags.from === "string") {
+          const { index: sourceIndex } = this.sourceFor(index);
+          pairedTest = tests.find(test => test.index === sourceIndex);
+        } else if (evaluatedExampleIndex === index - 1) {
+          pairedTest = tests[tests.length - 1];
+        }
+        if (pairedTest && pairedTest.output === null) {
+          pairedTest.output = snippet.code;
+          pairedTest.outputFlags = snippet.flags;
+        }
       }
     }
 
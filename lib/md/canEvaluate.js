@@ -1,3 +1,7 @@
 module.exports = function canEvaluate(snippet) {
-  return snippet.lang === "javascript" || snippet.lang === "typescript";
+  return (
+    snippet.lang === "javascript" ||
+    snippet.lang === "typescript" ||
+    !!snippet.evaluable
+  );
 };
@@ -0,0 +1,34 @@
+const CONTEXT_LINES = 2;
+
+function locationForIndex(content, index) {
+  const precedingLines = content.slice(0, index).split("\n");
+  return {
+    line: precedingLines.length,
+    column: precedingLines[precedingLines.length - 1].length + 1
+  };
+}
+
+function codeFrame(content, line, column) {
+  // Render the lines surrounding a location in the style of a compiler
+  // error, marking the line and (where known) the column of interest:
+  const lines = content.split("\n");
+  const startLine = Math.max(line - CONTEXT_LINES, 1);
+  const endLine = Math.min(line + CONTEXT_LINES, lines.length);
+  const gutterWidth = String(endLine).length;
+
+  const frameLines = [];
+  for (let lineNumber = startLine; lineNumber <= endLine; lineNumber += 1) {
+    const marker = lineNumber === line ? ">" : " ";
+    const gutter = String(lineNumber).padStart(gutterWidth);
+    const text = lines[lineNumber - 1];
+    frameLines.push(`${marker} ${gutter} |${text ? ` ${text}` : ""}`);
+    if (lineNumber === line && column) {
+      const padding = " ".repeat(gutterWidth);
+      frameLines.push(`  ${padding} | ${" ".repeat(column - 1)}^`);
+    }
+  }
+  return frameLines.join("\n");
+}
+
+module.exports = codeFrame;
+module.exports.locationForIndex = locationForIndex;
@@ -0,0 +1,106 @@
+// a default export which is also a declaration names what it declares
+const namedDeclaration =
+  "(?:async\\s+)?function\\b\\s*\\*?\\s*[\\w$]|class\\s+(?!extends\\b)[\\w$]";
+
+// statements are only recognised at the start of a line so that
+// occurrences within strings or expressions are left untouched
+const importRegExp = /^([ \t]*)import(?=[\s{*'"])\s*(?:([\w$\s{},*]+?)\s*from\s*)?(["'])([^"'\n]+)\3[ \t]*;?/gm;
+const exportFromRegExp = /^([ \t]*)export\s*(?:\*(?:\s*as\s+[\w$]+)?|\{[^}]*\})\s*from\s*(["'])([^"'\n]+)\2[ \t]*;?/gm;
+const exportListRegExp = /^([ \t]*)export\s*\{[^}]*\}[ \t]*;?/gm;
+const exportDefaultRegExp = new RegExp(
+  `^([ \\t]*)export\\s+default\\s+(?!${namedDeclaration})`,
+  "gm"
+);
+const exportDeclarationRegExp = new RegExp(
+  `^([ \\t]*)export\\s+(?:default\\s+(?=${namedDeclaration})|(?=(?:async\\s+function|function|class|const|let|var)\\b))`,
+  "gm"
+);
+
+// obtain the default export of either an ES or CommonJS module
+const interopDefault = "(m => m && m.__esModule ? m.default : m)";
+
+function keepLines(original, replacement) {
+  // pad the replacement with the lines of the original statement
+  // so that later lines of the snippet are not moved
+  const lineCount = original.split("\n").length - 1;
+  return replacement + "\n".repeat(lineCount);
+}
+
+function blankOut(str) {
+  return str.replace(/[^\n]/g, " ");
+}
+
+function convertBindings(clause, requireCall) {
+  const bindings = [];
+  const m = /^([\w$]+)?\s*,?\s*(?:\*\s*as\s+([\w$]+)|\{([^}]*)\})?$/.exec(
+    clause.trim()
+  );
+  if (!m) {
+    throw new SyntaxError(`Unsupported import "${clause.trim()}"`);
+  }
+
+  const [, defaultName, namespaceName, namedList] = m;
+  if (defaultName) {
+    bindings.push(`${defaultName} = ${interopDefault}(${requireCall})`);
+  }
+  if (namespaceName) {
+    bindings.push(`${namespaceName} = ${requireCall}`);
+  }
+  if (namedList !== undefined) {
+    const names = namedList
+      .split(",")
+      .map(name => name.trim())
+      .filter(Boolean)
+      .map(name => name.replace(/^([\w$]+)\s+as\s+([\w$]+)$/, "$1: $2"));
+    bindings.push(`{ ${names.join(", ")} } = ${requireCall}`);
+  }
+  return bindings;
+}
+
+function countLines(str) {
+  return str.split("\n").length - 1;
+}
+
+function extractImports(code) {
+  // take out the imports leaving the remaining code where it was
+  const imports = [];
+  const remainingCode = code.replace(importRegExp, (m, ...groups) => {
+    const offset = groups[groups.length - 2];
+    imports.push({ code: m, line: countLines(code.slice(0, offset)) + 1 });
+    return blankOut(m);
+  });
+  return { code: remainingCode, imports };
+}
+
+function hasModuleSyntax(code) {
+  return /^[ \t]*(?:import(?=[\s{*'"])|export\b)/m.test(code);
+}
+
+module.exports = function convertModuleSyntax(code) {
+  if (!hasModuleSyntax(code)) {
+    return code;
+  }
+
+  return code
+    .replace(importRegExp, (m, indent, clause, quote, specifier) => {
+      const requireCall = `require(${JSON.stringify(specifier)})`;
+      const bindings = clause ? convertBindings(clause, requireCall) : [];
+      const statement =
+        bindings.length > 0 ? `var ${bindings.join(", ")};` : `${requireCall};`;
+      return keepLines(m, `${indent}${statement}`);
+    })
+    .replace(exportFromRegExp, (m, indent, quote, specifier) =>
+      keepLines(m, `${indent}require(${JSON.stringify(specifier)});`)
+    )
+    .replace(exportListRegExp, m => blankOut(m))
+    .replace(
+      exportDefaultRegExp,
+      (m, indent) =>
+        // evaluate the exported value as an expression
+        `${indent}${"void".padEnd(m.length - indent.length, " ")}`
+    )
+    .replace(exportDeclarationRegExp, m => blankOut(m));
+};
+
+module.exports.extractImports = extractImports;
+module.exports.hasModuleSyntax = hasModuleSyntax;
@@ -9,15 +9,131 @@ const createRequire = filepath => {
 };
 
 const canEvaluate = require("./canEvaluate");
+const convertModuleSyntax = require("./convertModuleSyntax");
 const debug = require("../debug").extend("evaluateSnippets");
 const errors = require("../errors");
+const { isLifecycleSnippet, lifecycleEntries } = require("./lifecycle");
+const ModuleLoader = require("./ModuleLoader");
+const sourceMap = require("./sourceMap");
+const CapturedStreams = require("../CapturedStreams");
 const InspectedConsole = require("../InspectedConsole");
 
 const consoleSymbols = InspectedConsole.symbols;
 
+// host globals shared with snippets evaluated in an isolated context
+const contextGlobals = [
+  "Buffer",
+  "TextDecoder",
+  "TextEncoder",
+  "URL",
+  "URLSearchParams",
+  "console",
+  "process",
+  "queueMicrotask"
+];
+
+const contextTimers = [
+  ["setTimeout", "clearTimeout"],
+  ["setInterval", "clearInterval"],
+  ["setImmediate", "clearImmediate"]
+];
+
+function createContextGlobal(activeTimers) {
+  const contextGlobal = {};
+
+  for (const key of contextGlobals) {
+    if (key in global) {
+      contextGlobal[key] = global[key];
+    }
+  }
+
+  // track timers so any left pending can be cleared with the context
+  for (const [setKey, clearKey] of contextTimers) {
+    contextGlobal[setKey] = (...args) => {
+      const timer = global[setKey](...args);
+      activeTimers.add([clearKey, timer]);
+      return timer;
+    };
+    contextGlobal[clearKey] = timer => {
+      for (const entry of activeTimers) {
+        if (entry[1] === timer) activeTimers.delete(entry);
+      }
+      global[clearKey](timer);
+    };
+  }
+
+  return contextGlobal;
+}
+
+function createRuntime(isolation) {
+  if (isolation === "context") {
+    const activeTimers = new Set();
+    const context = vm.createContext(createContextGlobal(activeTimers));
+    // allow referring to the global of the context as in node
+    context.global = vm.runInContext("this", context);
+    const moduleLoader = new ModuleLoader();
+
+    return {
+      global: context,
+      createRequire: dirPath => moduleLoader.createRequire(dirPath),
+      mappedScripts: new Map(),
+      run: (code, runOptions) => vm.runInContext(code, context, runOptions),
+      dispose() {
+        for (const [clearKey, timer] of activeTimers) {
+          global[clearKey](timer);
+        }
+        activeTimers.clear();
+      }
+    };
+  }
+
+  // capture all keys on the undisturbed global object
+  const oldGlobal = Object.assign({}, global);
+
+  return {
+    global,
+    createRequire,
+    mappedScripts: new Map(),
+    run: (code, runOptions) => vm.runInThisContext(code, runOptions),
+    dispose() {
+      // remove any globals created by snippets
+      removeExtraneousGlobals(global, oldGlobal);
+
+      // reset all globals to their default values
+      for (const key of Object.keys(oldGlobal)) {
+        global[key] = oldGlobal[key];
+      }
+    }
+  };
+}
+
+const DEFAULT_FILENAME = "evalmachine.<anonymous>";
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function locationRegExp(filename, flags) {
+  // the column is optional as it is omitted when source lines are shown
+  return new RegExp(`${escapeRegExp(filename)}:(\\d+)(?::(\\d+))?`, flags);
+}
+
 function convertForEval(code) {
-  // Avoid "Identifier '...' has already been declared"
-  return code.replace(/\b(?:const|let)\s/g, "var ");
+  // Avoid "Identifier '...' has already been declared" while
+  // keeping the columns of the code unchanged for error locations
+  return code.replace(/\b(const|let)(\s)/g, (m, keyword, space) =>
+    "var".padEnd(keyword.length, " ").concat(space)
+  );
+}
+
+function wrapperPrefixForFlags(flags) {
+  if (flags.async) {
+    return "(async function () {";
+  } else if (flags.return) {
+    return "(function () {";
+  } else {
+    return "";
+  }
 }
 
 function isPromise(value) {
@@ -53,11 +169,46 @@ function getOutputString(expect, format, flags, output) {
   }
 }
 
-function identifyErrorForRethrow(e) {
-  if (e.name === "ReferenceError") {
+function createTimeoutError(timeout) {
+  return new errors.SnippetTimeoutError({
+    message: `snippet timed out after ${timeout}ms`,
+    data: { timeout }
+  });
+}
+
+function isTimeoutError(e) {
+  return (
+    e.name === "SnippetTimeoutError" ||
+    e.code === "ERR_SCRIPT_EXECUTION_TIMEOUT" ||
+    // older versions of node set no code on vm timeouts
+    /^Script execution timed out/.test(e.message)
+  );
+}
+
+function withTimeout(promise, timeout) {
+  if (!timeout) {
+    return promise;
+  }
+
+  // the race can fail a snippet which never settles but code looping
+  // synchronously after an await keeps the timer from ever firing
+  let timer;
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(createTimeoutError(timeout)), timeout);
+  });
+
+  return Promise.race([promise, timeoutPromise]).finally(() =>
+    clearTimeout(timer)
+  );
+}
+
+function identifyErrorForRethrow(e, { snippet, script, timeout }) {
+  if (isTimeoutError(e)) {
+    return e.name === "SnippetTimeoutError" ? e : createTimeoutError(timeout);
+  } else if (e.name === "ReferenceError") {
     return new errors.SnippetEvaluationError({
       message: e.message,
-      data: { original: e }
+      data: { original: e, position: positionInSnippet(e, snippet, script) }
     });
   }
 
@@ -69,14 +220,81 @@ function prepareCodeForExecution(snippet, flags) {
     return snippet.transpiled;
   }
 
-  const { code } = snippet;
-  if (flags.async) {
-    return `(async function () {${convertForEval(code)}})();`;
-  } else if (flags.return) {
-    return `(function () {${convertForEval(code)}})();`;
-  } else {
-    return convertForEval(code);
+  const prefix = wrapperPrefixForFlags(flags);
+  const code = convertForEval(convertModuleSyntax(snippet.code));
+  return prefix ? `${prefix}${code}})();` : code;
+}
+
+function scriptForSnippet(snippet, flags, options) {
+  const filename = options.filename || DEFAULT_FILENAME;
+  const codeLine = snippet.codeLine || 1;
+
+  if (snippet.transpiled && snippet.transpiledSegments) {
+    // transpiled code is run under its own name so that stack
+    // frames can later be mapped back to the snippet source
+    return {
+      filename,
+      codeLine,
+      segments: snippet.transpiledSegments,
+      runOptions: { filename: `${filename}?line=${codeLine}` }
+    };
+  }
+
+  const prefix = snippet.transpiled ? "" : wrapperPrefixForFlags(flags);
+  return {
+    filename,
+    codeLine,
+    segments: null,
+    runOptions: {
+      filename,
+      lineOffset: codeLine - 1,
+      columnOffset: -prefix.length
+    }
+  };
+}
+
+function mapStackTrace(e, runtime) {
+  if (!(e && typeof e.stack === "string")) {
+    return;
   }
+
+  let { stack } = e;
+  for (const [scriptName, script] of runtime.mappedScripts) {
+    const { filename, codeLine, segments } = script;
+    stack = stack.replace(locationRegExp(scriptName, "g"), (m, line, col) => {
+      const segment = sourceMap.findSegment(
+        segments[Number(line) - 1] || [],
+        col ? Number(col) - 1 : 0
+      );
+      if (!segment) return m;
+      const mappedLine = codeLine + segment[1] - 1;
+      return col
+        ? `${filename}:${mappedLine}:${segment[2]}`
+        : `${filename}:${mappedLine}`;
+    });
+  }
+  e.stack = stack;
+}
+
+function positionInSnippet(e, snippet, script) {
+  // use the first stack frame, skipping any source line shown above it
+  const frameRegExp = locationRegExp(script.filename, "g");
+  const stack = e.stack || "";
+  let m = frameRegExp.exec(stack);
+  while (m && !m[2]) {
+    m = frameRegExp.exec(stack);
+  }
+  if (!m) {
+    return null;
+  }
+
+  // ignore frames outside the snippet e.g. functions declared earlier
+  const line = Number(m[1]) - script.codeLine + 1;
+  const lineCount = snippet.code.split("\n").length;
+  if (line < 1 || line > lineCount) {
+    return null;
+  }
+  return { line, column: Number(m[2]) };
 }
 
 function prepareFlagsForExecution(capture, snippet) {
@@ -86,62 +304,71 @@ function prepareFlagsForExecution(capture, snippet) {
   // take precedence over the capture mode. If one is found
   // do not set the capture mode key - note this is needed
   // because currently the modes are exclusive within eval.
-  const hasExplicitCaptureFlag = ["console", "nowrap", "return"].some(flag =>
-    appliedFlagsSet.has(flag)
-  );
+  const hasExplicitCaptureFlag = [
+    "console",
+    "nowrap",
+    "return",
+    "streams",
+    "types"
+  ].some(flag => appliedFlagsSet.has(flag));
+
+  // only TypeScript has types to capture so show other values instead
+  const captureFlag =
+    capture === "types" && snippet.lang !== "typescript" ? "return" : capture;
 
   return hasExplicitCaptureFlag
     ? { ...snippet.flags }
-    : { [capture]: true, ...snippet.flags };
+    : { [captureFlag]: true, ...snippet.flags };
 }
 
-function prepareGlobalForExecution(options) {
+function prepareGlobalForExecution(runtime, options) {
   const { pwdPath, requirePath } = options;
   const fileGlobals = options.fileGlobals || {};
   const metadata = options.fileMetadata || {};
 
   // attach any custom globals that have been specified
   for (const [variable, createVariable] of Object.entries(fileGlobals)) {
-    global[variable] = createVariable({ metadata });
+    runtime.global[variable] = createVariable({ metadata });
   }
 
   // execute any supplied runtime preamble
   if (options.preamble) {
     // resolve require in the preamble relative to the module
-    global.require = createRequire(requirePath || pwdPath);
-    vm.runInThisContext(convertForEval(options.preamble));
+    runtime.global.require = runtime.createRequire(requirePath || pwdPath);
+    runtime.run(convertForEval(options.preamble));
   }
 }
 
-function prepareEnvironmentForExecution(flags, markdown, options) {
+function prepareEnvironmentForExecution(runtime, flags, markdown, options) {
   const { pwdPath } = options;
+  const evalGlobal = runtime.global;
   const globalsToReplace = {};
 
   if (flags.freshContext) {
     // mark everything to be put back after this snippet executes
-    for (const key of Object.keys(global)) {
-      globalsToReplace[key] = global[key];
+    for (const key of Object.keys(evalGlobal)) {
+      globalsToReplace[key] = evalGlobal[key];
     }
 
     // reinitialise the global
-    prepareGlobalForExecution(options);
+    prepareGlobalForExecution(runtime, options);
   }
 
   // resolve require in the snippets relavtive to the source markdown
-  global.require = createRequire(pwdPath);
+  evalGlobal.require = runtime.createRequire(pwdPath);
 
   if (flags.console) {
-    globalsToReplace.console = global.console;
-    global.console = markdown.inspectedConsole;
+    globalsToReplace.console = evalGlobal.console;
+    evalGlobal.console = markdown.inspectedConsole;
   }
 
   return function cleanup() {
     if (flags.freshContext) {
-      removeExtraneousGlobals(global, globalsToReplace);
+      removeExtraneousGlobals(evalGlobal, globalsToReplace);
     }
 
     for (const key of Object.keys(globalsToReplace)) {
-      global[key] = globalsToReplace[key];
+      evalGlobal[key] = globalsToReplace[key];
     }
   };
 }
@@ -159,11 +386,24 @@ function removeExtraneousGlobals(global, baseGlobal) {
   }
 }
 
-async function evaluateSnippet(snippet, flags, { markdown }) {
-  const hasGlobalExpect = !!(global.expect && global.expect._topLevelExpect);
+function timeoutForSnippet(flags, options) {
+  const timeout =
+    typeof flags.timeout === "number" ? flags.timeout : options.timeout;
+  return typeof timeout === "number" && timeout > 0 ? timeout : undefined;
+}
+
+async function evaluateSnippet(snippet, flags, options) {
+  const { markdown } = options;
+  const runtime = options.runtime || createRuntime();
+  const timeout = timeoutForSnippet(flags, options);
+  const script = scriptForSnippet(snippet, flags, options);
+  const evalGlobal = runtime.global;
+  const hasGlobalExpect = !!(
+    evalGlobal.expect && evalGlobal.expect._topLevelExpect
+  );
 
   // set any local expect present in globals to be used for serialisation
-  markdown.setExpect(hasGlobalExpect ? global.expect : null);
+  markdown.setExpect(hasGlobalExpect ? evalGlobal.expect : null);
 
   debug(`evaluating with flags=`, flags);
 
@@ -173,6 +413,9 @@ async function evaluateSnippet(snippet, flags, { markdown }) {
     text: ""
   };
 
+  // writes made directly to the process streams are intercepted
+  const capturedStreams = flags.streams ? new CapturedStreams(markdown) : null;
+
   try {
     if (snippet.flags.freshExpect) {
       if (!hasGlobalExpect) {
@@ -180,7 +423,7 @@ async function evaluateSnippet(snippet, flags, { markdown }) {
           "cannot clone with missing or invalid expect global for freshExpect"
         );
       }
-      global.expect = global.expect.clone();
+      evalGlobal.expect = evalGlobal.expect.clone();
     }
 
     debug(`preparing code to execute\n${snippet.code}`);
@@ -189,31 +432,68 @@ async function evaluateSnippet(snippet, flags, { markdown }) {
 
     debug(`executing${snippet.flags.async ? " [async]" : ""}...\n${code}`);
 
-    const resultOrPromise = vm.runInThisContext(code);
+    if (script.segments) {
+      runtime.mappedScripts.set(script.runOptions.filename, script);
+    }
+
+    if (capturedStreams) {
+      capturedStreams.start();
+    }
+
+    const resultOrPromise = runtime.run(code, {
+      ...script.runOptions,
+      timeout
+    });
 
     let result;
     if (isPromise(resultOrPromise)) {
-      result = await resultOrPromise;
+      result = await withTimeout(resultOrPromise, timeout);
     } else {
       result = resultOrPromise;
     }
 
-    if (flags.return || flags.async) {
+    if (capturedStreams) {
+      capturedStreams.stop();
+    }
+
+    if (flags.types) {
+      const expectForOutput = markdown.getExpect();
+      const types = snippet.inferredTypes || "";
+      output.kind = "types";
+      output.html = expectForOutput.output
+        .clone("html")
+        .text(types)
+        .toString("html");
+      output.text = types;
+    } else if (capturedStreams) {
+      // async snippets may wait for writes e.g. piped from a child process
+      if (capturedStreams.isEmpty()) return output;
+      output.kind = "streams";
+      output.html = capturedStreams.toString("html");
+      output.text = capturedStreams.toString("text");
+    } else if (flags.return || flags.async) {
       const expectForOutput = markdown.getExpect();
       output.kind = "result";
       output.html = getOutputString(expectForOutput, "html", flags, result);
       output.text = getOutputString(expectForOutput, "text", flags, result);
-    } else if (global.console instanceof InspectedConsole) {
-      if (global.console[consoleSymbols.isEmpty]()) return output;
-      const evalCons = global.console;
+    } else if (evalGlobal.console instanceof InspectedConsole) {
+      if (evalGlobal.console[consoleSymbols.isEmpty]()) return output;
+      const evalCons = evalGlobal.console;
       output.kind = "console";
       output.html = evalCons[consoleSymbols.toString]("html");
       output.text = evalCons[consoleSymbols.toString]("text");
       evalCons[consoleSymbols.reset]();
     }
   } catch (e) {
-    let errorForRethrow;
-    if ((errorForRethrow = identifyErrorForRethrow(e)) !== null) {
+    if (capturedStreams) {
+      capturedStreams.stop();
+    }
+
+    mapStackTrace(e, runtime);
+
+    const context = { snippet, script, timeout };
+    const errorForRethrow = identifyErrorForRethrow(e, context);
+    if (errorForRethrow !== null) {
       throw errorForRethrow;
     }
 
@@ -226,26 +506,151 @@ async function evaluateSnippet(snippet, flags, { markdown }) {
   return output;
 }
 
+async function runSnippet(snippet, runner, flags, options) {
+  const { markdown, pwdPath, filename } = options;
+  const timeout = timeoutForSnippet(flags, options);
+
+  debug(`running ${snippet.lang} snippet\n${snippet.code}`);
+
+  let text;
+  try {
+    const context = { pwdPath, filename, flags, timeout };
+    text = await withTimeout(
+      Promise.resolve().then(() => runner(snippet.code, context)),
+      timeout
+    );
+  } catch (e) {
+    if (isTimeoutError(e)) {
+      throw e;
+    }
+    throw new errors.SnippetEvaluationError({
+      message: e.message,
+      data: { original: e }
+    });
+  }
+
+  const expectForOutput = markdown.getExpect();
+  text = typeof text === "string" ? text : "";
+  return {
+    kind: "result",
+    html: expectForOutput.output
+      .clone("html")
+      .text(text)
+      .toString("html"),
+    text
+  };
+}
+
+function executeSnippet(snippet, flags, options) {
+  // snippets in other languages are handed to their runner
+  const runner = options.runners && options.runners[snippet.lang];
+  return runner
+    ? runSnippet(snippet, runner, flags, options)
+    : evaluateSnippet(snippet, flags, options);
+}
+
+async function evaluateSupportingSnippet(snippet, description, options) {
+  const { markdown, runtime } = options;
+  const flags = prepareFlagsForExecution(options.capture, snippet);
+  const cleanup = prepareEnvironmentForExecution(
+    runtime,
+    flags,
+    markdown,
+    options
+  );
+
+  try {
+    const output = await executeSnippet(snippet, flags, options);
+    // supporting snippets have no output block to show an error
+    if (output.kind === "error") {
+      throw new Error(output.text);
+    }
+  } catch (e) {
+    // the location of the failure lies within the supporting snippet
+    const original = (e.data && e.data.original) || e;
+    throw new errors.SnippetEvaluationError({
+      message: `${description} failed: ${original.message}`
+    });
+  } finally {
+    cleanup();
+  }
+}
+
+async function evaluateSupportingSnippets(entries, description, options) {
+  for (const [, snippet] of entries) {
+    await evaluateSupportingSnippet(snippet, description, options);
+  }
+}
+
+async function prepareSnippetForExecution(snippets, snippet, flags, options) {
+  if (flags.freshContext) {
+    // the reinitialised global is given the file setup again
+    const fileSetups = lifecycleEntries(snippets, "setup", "file");
+    await evaluateSupportingSnippets(fileSetups, "setup snippet", options);
+  }
+
+  const eachSetups = lifecycleEntries(snippets, "setup", "each");
+  await evaluateSupportingSnippets(eachSetups, "setup snippet", options);
+
+  if (typeof snippet.flags.use === "string") {
+    // re-run a named snippet ahead of this one
+    const usedSnippet = snippets.find(
+      ({ flags }) => flags && flags.name === snippet.flags.use
+    );
+    await evaluateSupportingSnippet(
+      usedSnippet,
+      `used snippet "${snippet.flags.use}"`,
+      options
+    );
+  }
+}
+
 module.exports = async function evaluateSnippets(snippets, options) {
   options = options || {};
-  const { markdown, capture } = options;
+  const { markdown, capture, isolation } = options;
 
-  // capture all keys on the undisturbed global object
-  const oldGlobal = Object.assign({}, global);
+  const runtime = createRuntime(isolation);
+  const runOptions = { ...options, runtime };
 
-  prepareGlobalForExecution(options);
+  prepareGlobalForExecution(runtime, options);
 
   const snippetErrors = {};
 
+  // run any setup or teardown for the whole file around the snippets
+  const runLifecycle = async (kind, scope) => {
+    for (const [index, snippet] of lifecycleEntries(snippets, kind, scope)) {
+      try {
+        await evaluateSupportingSnippet(snippet, `${kind} snippet`, runOptions);
+      } catch (e) {
+        snippetErrors[index] = e;
+      }
+    }
+  };
+
+  await runLifecycle("setup", "file");
+
   for (const [index, snippet] of snippets.entries()) {
     debug(`snippet ${index}: lang=${snippet.lang}`);
 
+    if (isLifecycleSnippet(snippet)) {
+      debug(`snippet ${index}: evaluation DEFERRED`);
+      continue;
+    }
+
     const flags = prepareFlagsForExecution(capture, snippet);
-    const cleanup = prepareEnvironmentForExecution(flags, markdown, options);
+    const cleanup = prepareEnvironmentForExecution(
+      runtime,
+      flags,
+      markdown,
+      options
+    );
 
     if (canEvaluate(snippet) && snippet.flags.evaluate) {
+      const startTime = Date.now();
       try {
-        snippet.output = await evaluateSnippet(snippet, flags, options);
+        await prepareSnippetForExecution(snippets, snippet, flags, runOptions);
+
+        snippet.output = await executeSnippet(snippet, flags, runOptions);
 
         debug(`snippet ${index}: evaluation SUCCEEDED`);
       } catch (e) {
@@ -254,6 +659,18 @@ module.exports = async function evaluateSnippets(snippets, options) {
         debug(`snippet ${index}: evaluation ERRORED`);
         debug(String(e));
       }
+
+      try {
+        const eachTeardowns = lifecycleEntries(snippets, "teardown", "each");
+        await evaluateSupportingSnippets(
+          eachTeardowns,
+          "teardown snippet",
+          runOptions
+        );
+      } catch (e) {
+        snippetErrors[index] = snippetErrors[index] || e;
+      }
+      snippet.duration = Date.now() - startTime;
     } else {
       debug(`snippet ${index}: evaluation SKIPPED`);
     }
@@ -261,13 +678,10 @@ module.exports = async function evaluateSnippets(snippets, options) {
     cleanup();
   }
 
-  // remove any globals created by snippets
-  removeExtraneousGlobals(global, oldGlobal);
+  await runLifecycle("teardown", "file");
 
-  // reset all globals to their default values
-  for (const key of Object.keys(oldGlobal)) {
-    global[key] = oldGlobal[key];
-  }
+  // put back the global state from before evaluation
+  runtime.dispose();
 
   // now that cleanup of the environment has run
   // report any errors that occurred to the caller
@@ -275,6 +689,11 @@ module.exports = async function evaluateSnippets(snippets, options) {
 };
 
 module.exports.evaluateSnippet = evaluateSnippet;
+module.exports.wrapperPrefix = function wrapperPrefix(snippet, options) {
+  return wrapperPrefixForFlags(
+    prepareFlagsForExecution(options.capture, snippet)
+  );
+};
 module.exports.prepareFlags = function prepareFlags(snippet, options) {
   return prepareFlagsForExecution(options.capture, snippet);
 };
@@ -0,0 +1,14 @@
+// how the result of evaluating a snippet is captured
+exports.captures = {
+  console: true,
+  nowrap: true,
+  return: true,
+  streams: true,
+  types: true
+};
+
+// where the snippets of a file are evaluated
+exports.isolations = {
+  context: true,
+  global: true
+};
@@ -1,3 +1,5 @@
+const { locationForIndex } = require("./codeFrame");
+const { parseFlags } = require("./flags");
 const snippetRegexp = require("./snippetRegexp");
 
 function checkMarker(marker) {
@@ -18,26 +20,23 @@ function isObjectEmpty(obj) {
   return Object.keys(obj).length === 0;
 }
 
-function parseFlags(flagsString) {
-  const flags = {};
-  for (const flagString of flagsString.split(/,/)) {
-    const m = /(\w+)\s*:\s*(\w+)/.exec(flagString.trim());
-    flags[m[1]] = m[2] === "true";
-  }
-  return flags;
-}
-
 function parseHeader(str) {
-  const m = /^(\w+)#(\w+:\w+(,\w+:\w+)*)/.exec(str);
+  const m = /^(\w+)#(.+)$/.exec(str);
 
   let lang;
   let flags;
+  let problems;
   if (m) {
     lang = m[1];
-    flags = parseFlags(m[2]);
+    ({ flags, problems } = parseFlags(m[2]));
+    // locate problems relative to the start of the header
+    for (const problem of problems) {
+      problem.offset += lang.length + 1;
+    }
   } else {
     lang = str;
     flags = {};
+    problems = [];
   }
 
   if (lang === "js") {
@@ -47,13 +46,19 @@ function parseHeader(str) {
     lang = "typescript";
   }
 
-  return { lang, flags };
+  return { lang, flags, problems };
+}
+
+function problemToFlagError(markdown, problem, index) {
+  const { line, column } = locationForIndex(markdown, index + problem.offset);
+  return { message: problem.message, line, column };
 }
 
 module.exports = function(markdown, options) {
   options = options || {};
 
   const marker = checkMarker(options.marker);
+  const languages = options.languages || [];
   const htmlCommentRegExp = new RegExp(
     `^<!--\\s*${marker}\\s+([^>]*)-->`,
     "gm"
@@ -65,23 +70,44 @@ module.exports = function(markdown, options) {
   while ((m = snippetRegexp.exec(markdown))) {
     const [block, comment, header, code] = m;
 
-    const { lang, flags: langFlags } = parseHeader(header);
+    const { lang, flags: langFlags, problems } = parseHeader(header);
 
     const baseIndex = m.index;
     let offset = header.length;
     let flags = { ...langFlags };
 
+    // the header follows any comments and the opening fence
+    const headerIndex = baseIndex + (comment || "").length + 3;
+    const flagErrors = problems.map(problem =>
+      problemToFlagError(markdown, problem, headerIndex)
+    );
+
     if (comment) {
       offset += comment.length;
 
-      const matchHtmlComments = comment.match(htmlCommentRegExp);
-      if (matchHtmlComments) {
-        for (const htmlCommentValue of Array.from(matchHtmlComments)) {
-          flags = Object.assign(parseFlags(htmlCommentValue), flags);
+      htmlCommentRegExp.lastIndex = 0;
+      let commentMatch;
+      while ((commentMatch = htmlCommentRegExp.exec(comment))) {
+        const [htmlComment, htmlCommentValue] = commentMatch;
+        const valueIndex =
+          baseIndex +
+          commentMatch.index +
+          htmlComment.length -
+          htmlCommentValue.length -
+          3; // -->
+        const parsed = parseFlags(htmlCommentValue);
+        for (const problem of parsed.problems) {
+          flagErrors.push(problemToFlagError(markdown, problem, valueIndex));
         }
+        flags = Object.assign(parsed.flags, flags);
       }
     }
 
+    // flags set on the snippet itself take precedence over the defaults
+    flags = { ...options.defaultFlags, ...flags };
+
+    flagErrors.sort((a, b) => a.line - b.line || a.column - b.column);
+
     if (typeof flags.evaluate !== "boolean") {
       flags.evaluate = true;
     }
@@ -95,7 +121,9 @@ module.exports = function(markdown, options) {
       indexEnd: baseIndex + block.length,
       codeIndex: baseIndex + offset + 4, // ```\n
       codeIndexEnd: -1,
+      codeLine: -1,
       comment: comment || "",
+      flagErrors,
       output: null
     };
     if (code.length > 0) {
@@ -103,6 +131,11 @@ module.exports = function(markdown, options) {
     } else {
       snippet.codeIndexEnd = snippet.codeIndex;
     }
+    snippet.codeLine = locationForIndex(markdown, snippet.codeIndex).line;
+    if (languages.includes(lang)) {
+      // evaluable by the transpiler or runner registered for its language
+      snippet.evaluable = true;
+    }
     snippets.push(snippet);
   }
 
@@ -0,0 +1,74 @@
+var errors = require("../errors");
+var { captures, isolations } = require("./evaluationModes");
+
+const METADATA_KEY = "evaldown";
+
+function createOptionError(message) {
+  return new errors.FileMetadataError({
+    message: `invalid "${METADATA_KEY}" front matter: ${message}`
+  });
+}
+
+function checkBoolean(key, value) {
+  if (typeof value !== "boolean") {
+    throw createOptionError(`"${key}" must be true or false`);
+  }
+  return value;
+}
+
+function checkChoice(choices) {
+  return (key, value) => {
+    if (!Object.keys(choices).includes(value)) {
+      throw createOptionError(`unsupported ${key} "${value}"`);
+    }
+    return value;
+  };
+}
+
+function checkPath(key, value) {
+  if (typeof value !== "string" || value.length === 0) {
+    throw createOptionError(`"${key}" must be a path`);
+  }
+  return value;
+}
+
+const validators = {
+  capture: checkChoice(captures),
+  freshContext: checkBoolean,
+  globals(key, value) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      throw createOptionError(`"${key}" must be a map of names to values`);
+    }
+    return value;
+  },
+  isolation: checkChoice(isolations),
+  require: checkPath,
+  skip: checkBoolean,
+  timeout(key, value) {
+    if (!(typeof value === "number" && value > 0)) {
+      throw createOptionError(`"${key}" must be a positive number`);
+    }
+    return value;
+  },
+  tsconfig: checkPath
+};
+
+module.exports = function fileOptions(metadata) {
+  const value = metadata && metadata[METADATA_KEY];
+  if (value === undefined || value === null) {
+    return {};
+  } else if (typeof value !== "object" || Array.isArray(value)) {
+    throw createOptionError("expected key value pairs");
+  }
+
+  const options = {};
+  for (const [key, optionValue] of Object.entries(value)) {
+    if (!validators[key]) {
+      throw createOptionError(`unsupported option "${key}"`);
+    }
+    options[key] = validators[key](key, optionValue);
+  }
+  return options;
+};
+
+module.exports.METADATA_KEY = METADATA_KEY;
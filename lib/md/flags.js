@@ -0,0 +1,97 @@
+const knownFlags = {
+  async: "boolean",
+  cleanStackTrace: "boolean",
+  console: "boolean",
+  evaluate: "boolean",
+  expectTypeError: "boolean",
+  freshContext: "boolean",
+  freshExpect: "boolean",
+  from: "string",
+  hide: "boolean",
+  ignore: "boolean",
+  include: "string",
+  lines: "range",
+  name: "string",
+  nowrap: "boolean",
+  region: "string",
+  return: "boolean",
+  setup: "scope",
+  streams: "boolean",
+  teardown: "scope",
+  timeout: "number",
+  types: "boolean",
+  use: "string"
+};
+
+const isType = {
+  boolean: value => typeof value === "boolean",
+  number: value => typeof value === "number",
+  range: value => typeof value === "number" || typeof value === "string",
+  scope: value => value === true || value === "each" || value === "file",
+  string: value => typeof value === "string"
+};
+
+const typeDescriptions = {
+  scope: 'either "each" or "file"'
+};
+
+// a name optionally followed by a quoted or bare value then a separator
+const flagRegExp = /(\s*)(\w+)(?:\s*:\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\s,"']+))?\s*(,|$)/y;
+
+function parseValue(rawValue) {
+  if (rawValue === undefined || rawValue === "true") {
+    return true;
+  } else if (rawValue === "false") {
+    return false;
+  } else if (/^-?\d+(\.\d+)?$/.test(rawValue)) {
+    return Number(rawValue);
+  } else if (/^["']/.test(rawValue)) {
+    return rawValue.slice(1, -1).replace(/\\(.)/g, "$1");
+  } else {
+    return rawValue;
+  }
+}
+
+function checkFlag(name, value) {
+  const type = knownFlags[name];
+  if (!type) {
+    return `unknown flag "${name}"`;
+  } else if (!isType[type](value)) {
+    return `flag "${name}" must be ${typeDescriptions[type] || `a ${type}`}`;
+  }
+  return null;
+}
+
+function parseFlags(flagsString) {
+  const flags = {};
+  const problems = [];
+
+  let index = 0;
+  while (index < flagsString.length && /\S/.test(flagsString.slice(index))) {
+    flagRegExp.lastIndex = index;
+    const m = flagRegExp.exec(flagsString);
+    if (!m) {
+      const offset = index + /^\s*/.exec(flagsString.slice(index))[0].length;
+      const text = flagsString
+        .slice(offset)
+        .split(",")[0]
+        .trim();
+      problems.push({ message: `malformed flag "${text}"`, offset });
+      break;
+    }
+
+    const [match, leading, name, rawValue] = m;
+    const value = parseValue(rawValue);
+    const message = checkFlag(name, value);
+    if (message) {
+      problems.push({ message, offset: index + leading.length });
+    }
+    flags[name] = value;
+    index += match.length;
+  }
+
+  return { flags, problems };
+}
+
+exports.knownFlags = knownFlags;
+exports.parseFlags = parseFlags;
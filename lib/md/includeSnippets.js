@@ -0,0 +1,87 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function dedent(lines) {
+  const indents = lines
+    .filter(line => line.trim().length > 0)
+    .map(line => /^[ \t]*/.exec(line)[0].length);
+  const indent = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(indent));
+}
+
+function selectLines(lines, range) {
+  const m = /^(\d+)(?:(-)(\d+)?)?$/.exec(String(range).trim());
+  if (!m) {
+    throw new Error(`invalid line range "${range}"`);
+  }
+
+  const start = Number(m[1]);
+  const end = m[3] ? Number(m[3]) : m[2] ? lines.length : start;
+  if (start < 1 || end < start || end > lines.length) {
+    throw new Error(`line range "${range}" is outside the file`);
+  }
+  return lines.slice(start - 1, end);
+}
+
+function selectRegion(lines, region) {
+  const startRegExp = new RegExp(`#region\\s+${escapeRegExp(region)}\\s*$`);
+  const startIndex = lines.findIndex(line => startRegExp.test(line));
+  if (startIndex === -1) {
+    throw new Error(`region "${region}" was not found`);
+  }
+
+  const endIndex = lines.findIndex(
+    (line, index) => index > startIndex && /#endregion\b/.test(line)
+  );
+  if (endIndex === -1) {
+    throw new Error(`region "${region}" is not closed`);
+  }
+  return lines.slice(startIndex + 1, endIndex);
+}
+
+async function readInclude(flags, pwdPath) {
+  const { include, lines: range, region } = flags;
+  const includePath = path.resolve(pwdPath, include);
+
+  if (range !== undefined && region !== undefined) {
+    throw new Error('cannot include both "lines" and a "region"');
+  }
+
+  let content;
+  try {
+    content = await fs.readFile(includePath, "utf8");
+  } catch (e) {
+    throw new Error(`unable to include "${include}" (${e.code || e.message})`);
+  }
+
+  let lines = content.replace(/\n$/, "").split("\n");
+  if (range !== undefined) {
+    lines = selectLines(lines, range);
+  } else if (region !== undefined) {
+    lines = selectRegion(lines, region);
+  }
+  return dedent(lines).join("\n");
+}
+
+module.exports = async function includeSnippets(snippets, options) {
+  const { pwdPath } = options;
+
+  for (const snippet of snippets) {
+    const { flags } = snippet;
+    if (!(flags && typeof flags.include === "string")) {
+      continue;
+    }
+
+    // record the code of the block so that staleness can be detected
+    snippet.blockCode = snippet.code;
+    try {
+      snippet.code = await readInclude(flags, pwdPath);
+    } catch (e) {
+      snippet.includeError = e.message;
+    }
+  }
+};
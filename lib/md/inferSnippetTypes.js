@@ -0,0 +1,102 @@
+const { prepareFlags } = require("./evaluateSnippets");
+const {
+  createSnippetsProgram,
+  tsSnippetEntries
+} = require("./typecheckSnippets");
+
+function statementsOfBlock(ts, sourceFile, block) {
+  // descend through the blocks opened for each of the earlier snippets
+  let nodes = sourceFile.statements;
+  for (let depth = 0; depth <= block.depth; depth += 1) {
+    const nested = nodes[nodes.length - 1];
+    nodes = nested && ts.isBlock(nested) ? nested.statements : [];
+  }
+
+  const endLine = block.startLine + block.lineCount;
+  const statements = nodes.filter(statement => {
+    const { line } = sourceFile.getLineAndCharacterOfPosition(
+      statement.getStart(sourceFile)
+    );
+    return line >= block.startLine && line < endLine;
+  });
+
+  if (!block.wrapper) {
+    return statements;
+  }
+
+  // look inside the function wrapped around the snippet
+  let node = statements[0] && statements[0].expression;
+  while (
+    node &&
+    (ts.isCallExpression(node) || ts.isParenthesizedExpression(node))
+  ) {
+    node = node.expression;
+  }
+  return node && ts.isFunctionExpression(node) ? node.body.statements : [];
+}
+
+function declaredNames(ts, statement) {
+  if (ts.isVariableStatement(statement)) {
+    return statement.declarationList.declarations
+      .map(declaration => declaration.name)
+      .filter(name => ts.isIdentifier(name));
+  } else if (
+    (ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)) &&
+    statement.name
+  ) {
+    return [statement.name];
+  }
+  return [];
+}
+
+function describeTypes(ts, checker, statements) {
+  const typeToString = node =>
+    checker.typeToString(
+      checker.getTypeAtLocation(node),
+      undefined,
+      ts.TypeFormatFlags.NoTruncation
+    );
+
+  // the value of a final expression is what the snippet is showing
+  const lastStatement = statements[statements.length - 1];
+  if (
+    lastStatement &&
+    (ts.isExpressionStatement(lastStatement) ||
+      ts.isReturnStatement(lastStatement)) &&
+    lastStatement.expression
+  ) {
+    return typeToString(lastStatement.expression);
+  }
+
+  const lines = [];
+  for (const statement of statements) {
+    for (const name of declaredNames(ts, statement)) {
+      lines.push(`${name.text}: ${typeToString(name)}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+module.exports = function inferSnippetTypes(snippets, options) {
+  const snippetEntries = tsSnippetEntries(snippets);
+  const hasTypesCapture = snippetEntries.some(
+    ([, snippet]) => prepareFlags(snippet, options).types
+  );
+  if (!hasTypesCapture) {
+    return;
+  }
+
+  const { ts, program, sourceFile, blocks } = createSnippetsProgram(
+    snippetEntries,
+    options
+  );
+  const checker = program.getTypeChecker();
+
+  for (const block of blocks) {
+    const snippet = snippets[block.index];
+    if (!prepareFlags(snippet, options).types) continue;
+
+    const statements = statementsOfBlock(ts, sourceFile, block);
+    snippet.inferredTypes = describeTypes(ts, checker, statements);
+  }
+};
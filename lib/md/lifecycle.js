@@ -0,0 +1,20 @@
+const canEvaluate = require("./canEvaluate");
+
+// a bare setup or teardown flag applies around the whole file
+function scopeOf(value) {
+  return value === true ? "file" : value;
+}
+
+exports.isLifecycleSnippet = function isLifecycleSnippet(snippet) {
+  const { flags } = snippet;
+  return !!(flags && (flags.setup || flags.teardown));
+};
+
+exports.lifecycleEntries = function lifecycleEntries(snippets, kind, scope) {
+  return Array.from(snippets.entries()).filter(
+    ([, snippet]) =>
+      canEvaluate(snippet) &&
+      snippet.flags.evaluate &&
+      scopeOf(snippet.flags[kind]) === scope
+  );
+};
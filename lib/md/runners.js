@@ -0,0 +1,68 @@
+const { spawn } = require("child_process");
+
+const errors = require("../errors");
+
+function createShellRunner(shell) {
+  return (code, { pwdPath, timeout }) =>
+    new Promise((resolve, reject) => {
+      const child = spawn(shell, ["-c", code], {
+        cwd: pwdPath,
+        // a group of its own lets any processes it started be stopped too
+        detached: true,
+        env: process.env,
+        stdio: ["ignore", "pipe", "pipe"]
+      });
+
+      let timedOut = false;
+      const timer =
+        timeout &&
+        setTimeout(() => {
+          timedOut = true;
+          try {
+            process.kill(-child.pid, "SIGKILL");
+          } catch (e) {}
+        }, timeout);
+
+      // interleave both streams as they would appear in a terminal
+      // decoding whole characters even when split between chunks
+      let output = "";
+      child.stdout.setEncoding("utf8");
+      child.stderr.setEncoding("utf8");
+      child.stdout.on("data", chunk => (output += chunk));
+      child.stderr.on("data", chunk => (output += chunk));
+
+      child.on("error", e => {
+        clearTimeout(timer);
+        reject(e);
+      });
+      child.on("close", (exitCode, signal) => {
+        clearTimeout(timer);
+        const text = output.replace(/\n$/, "");
+        if (timedOut) {
+          reject(
+            new errors.SnippetTimeoutError({
+              message: `snippet timed out after ${timeout}ms`,
+              data: { timeout }
+            })
+          );
+        } else if (exitCode !== 0) {
+          const status = signal ? `signal ${signal}` : `code ${exitCode}`;
+          reject(
+            new Error(`command exited with ${status}${text ? `\n${text}` : ""}`)
+          );
+        } else {
+          resolve(text);
+        }
+      });
+    });
+}
+
+function runJson(code) {
+  // the content is checked to be valid and nothing is output
+  JSON.parse(code);
+  return "";
+}
+
+exports.bash = createShellRunner("bash");
+exports.json = runJson;
+exports.sh = createShellRunner("sh");
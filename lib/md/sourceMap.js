@@ -0,0 +1,60 @@
+const BASE64_CHARS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+function decodeVlq(str) {
+  const values = [];
+  let shift = 0;
+  let value = 0;
+
+  for (const char of str) {
+    const digit = BASE64_CHARS.indexOf(char);
+    if (digit === -1) {
+      throw new Error(`invalid source map character "${char}"`);
+    }
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >> 1) : value >> 1);
+      shift = 0;
+      value = 0;
+    }
+  }
+
+  return values;
+}
+
+function decodeMappings(mappings) {
+  // Decode the "mappings" field of a version 3 source map into a list
+  // of segments for each generated line with all values made absolute:
+  //   [generatedColumn, sourceLine, sourceColumn]
+  const state = [0, 0, 0, 0, 0];
+
+  return mappings.split(";").map(lineMappings => {
+    state[0] = 0;
+    const segments = [];
+    for (const segmentString of lineMappings.split(",")) {
+      if (!segmentString) continue;
+      const values = decodeVlq(segmentString);
+      for (const [i, value] of values.entries()) {
+        state[i] += value;
+      }
+      if (values.length >= 4) {
+        segments.push([state[0], state[2], state[3]]);
+      }
+    }
+    return segments;
+  });
+}
+
+function findSegment(segments, column) {
+  let found = segments[0] || null;
+  for (const segment of segments) {
+    if (segment[0] > column) break;
+    found = segment;
+  }
+  return found;
+}
+
+exports.decodeMappings = decodeMappings;
+exports.findSegment = findSegment;
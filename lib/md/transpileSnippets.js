@@ -2,23 +2,102 @@ const findUp = require("find-up");
 const path = require("path");
 
 const canEvaluate = require("./canEvaluate");
-const { prepareFlags } = require("./evaluateSnippets");
+const convertModuleSyntax = require("./convertModuleSyntax");
+const errors = require("../errors");
+const { wrapperPrefix } = require("./evaluateSnippets");
+const sourceMap = require("./sourceMap");
 const resolve = require("../resolve");
 
-function createTranspileTypescript(tsconfigPath) {
-  const tsConfigJson = require(tsconfigPath);
+const sourceMappingUrlRegExp = /\n?\/\/# sourceMappingURL=.*\s*$/;
+
+function countLines(str) {
+  return str.split("\n").length - 1;
+}
+
+function createSnippetSegments(mappedLines, block) {
+  // Restrict the mappings to the lines generated for a snippet and
+  // make them relative to its code (1-based and without any wrapper):
+  const { generatedLine, generatedLineCount, sourceLine, prefix } = block;
+  return mappedLines
+    .slice(generatedLine, generatedLine + generatedLineCount)
+    .map(segments =>
+      segments.map(([generatedColumn, line, column]) => {
+        const snippetLine = line - sourceLine + 1;
+        const snippetColumn =
+          snippetLine === 1 ? column - prefix.length + 1 : column + 1;
+        return [generatedColumn, snippetLine, Math.max(snippetColumn, 1)];
+      })
+    );
+}
+
+// the snippets are supplied directly so a lack of input files is expected
+const NO_INPUTS_FOUND_CODE = 18003;
+
+function createConfigError(ts, tsconfigPath, diagnostics) {
+  const messages = diagnostics.map(diagnostic =>
+    ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n")
+  );
+  return new errors.ConfigFileError({
+    message: `invalid tsconfig "${tsconfigPath}": ${messages.join("; ")}`,
+    data: { messages }
+  });
+}
+
+function loadTsconfig(ts, tsconfigPath) {
+  tsconfigPath = path.resolve(tsconfigPath);
+  const { config, error } = ts.readConfigFile(tsconfigPath, ts.sys.readFile);
+  if (error) {
+    throw createConfigError(ts, tsconfigPath, [error]);
+  }
+
+  // parse the config as the compiler would so that "extends" is followed
+  const parsed = ts.parseJsonConfigFileContent(
+    config,
+    ts.sys,
+    path.dirname(tsconfigPath),
+    undefined,
+    tsconfigPath
+  );
+  const diagnostics = parsed.errors.filter(
+    diagnostic => diagnostic.code !== NO_INPUTS_FOUND_CODE
+  );
+  if (diagnostics.length > 0) {
+    throw createConfigError(ts, tsconfigPath, diagnostics);
+  }
+
+  return parsed;
+}
+
+function requireTypescript(tsconfigPath) {
+  // use the compiler installed by the project owning the tsconfig
   const tsConfigDir = path.dirname(tsconfigPath);
   const pkgJson = findUp.sync("package.json", { cwd: tsConfigDir });
   const tsModule = resolve.file(path.dirname(pkgJson), "typescript");
-  const ts = require(tsModule);
+  return require(tsModule);
+}
+
+function createTranspileTypescript(tsconfigPath) {
+  const ts = requireTypescript(tsconfigPath);
 
+  const { options: compilerOptions } = loadTsconfig(ts, tsconfigPath);
   const transpileOptions = {
-    compilerOptions: tsConfigJson.compileOptions
+    compilerOptions: {
+      ...compilerOptions,
+      inlineSourceMap: false,
+      // module syntax is kept to be converted as for other snippets
+      module: ts.ModuleKind.ESNext,
+      sourceMap: true
+    },
+    // snippets may only contain JSX when it has been configured
+    fileName: compilerOptions.jsx ? "snippets.tsx" : "snippets.ts"
   };
 
   return code => {
     const result = ts.transpileModule(code, transpileOptions);
-    return result.outputText;
+    return {
+      code: result.outputText.replace(sourceMappingUrlRegExp, ""),
+      map: result.sourceMapText
+    };
   };
 }
 
@@ -44,21 +123,21 @@ module.exports = function transpileSnippets(snippets, options) {
   );
 
   // wrap the snippet code blocks prior to transpilation based on their flags
-  const snippetCodeForTranspilation = snippetsForEval.map(snippet => {
-    const flags = prepareFlags(snippet, options);
-    if (flags.async) {
-      return `(async function () {${snippet.code}})();`;
-    } else if (flags.return) {
-      return `(function () {${snippet.code}})();`;
-    } else {
-      return snippet.code;
-    }
-  });
+  const prefixes = snippetsForEval.map(snippet =>
+    wrapperPrefix(snippet, options)
+  );
+  const snippetCodeForTranspilation = snippetsForEval.map((snippet, i) =>
+    prefixes[i] ? `${prefixes[i]}${snippet.code}})();` : snippet.code
+  );
 
   // execute transpilation of all the snippets
-  const transpiledCode = transpileFn(
+  const transpiledResult = transpileFn(
     `${preambleSeparator}${snippetCodeForTranspilation.join(blockSeparator)}`
   );
+  const { code: transpiledCode, map } =
+    typeof transpiledResult === "string"
+      ? { code: transpiledResult, map: null }
+      : transpiledResult;
 
   const allBlocks = transpiledCode.split(separatorRegexp);
 
@@ -69,10 +148,33 @@ module.exports = function transpileSnippets(snippets, options) {
   const transpiledBlocks = allBlocks.slice(1);
 
   for (const [i, transpiledSnippet] of transpiledBlocks.entries()) {
-    snippetsForEval[i].transpiled = transpiledSnippet;
+    snippetsForEval[i].transpiled = convertModuleSyntax(transpiledSnippet);
+  }
+
+  // record where each transpiled line originated within its snippet
+  if (map) {
+    const { mappings } = typeof map === "string" ? JSON.parse(map) : map;
+    const mappedLines = sourceMap.decodeMappings(mappings);
+
+    const blockRegexp = new RegExp(separatorRegexp.source, "g");
+    let sourceLine = 2;
+    for (const [i, transpiledSnippet] of transpiledBlocks.entries()) {
+      const m = blockRegexp.exec(transpiledCode);
+      const generatedLine = countLines(
+        transpiledCode.slice(0, m.index + m[0].length)
+      );
+      const generatedLineCount = countLines(transpiledSnippet) + 1;
+      snippetsForEval[i].transpiledSegments = createSnippetSegments(
+        mappedLines,
+        { generatedLine, generatedLineCount, sourceLine, prefix: prefixes[i] }
+      );
+      sourceLine += countLines(snippetCodeForTranspilation[i]) + 2;
+    }
   }
 
-  return injectedCode || null;
+  return injectedCode ? convertModuleSyntax(injectedCode) : null;
 };
 
 module.exports.createTranspileTypescript = createTranspileTypescript;
+module.exports.loadTsconfig = loadTsconfig;
+module.exports.requireTypescript = requireTypescript;
@@ -0,0 +1,197 @@
+const path = require("path");
+
+const convertModuleSyntax = require("./convertModuleSyntax");
+const errors = require("../errors");
+const { wrapperPrefix } = require("./evaluateSnippets");
+const { extractImports } = convertModuleSyntax;
+const { loadTsconfig, requireTypescript } = require("./transpileSnippets");
+
+const VIRTUAL_BASENAME = "__evaldown_snippets__";
+
+function countLines(str) {
+  return str.split("\n").length - 1;
+}
+
+function createSource(snippetEntries, options) {
+  // Each snippet is checked in a block of its own that stays open for
+  // those after it, so declarations remain visible to later snippets yet
+  // may be declared again as they can be when the snippets are evaluated.
+  // Imports are only allowed outside any block and so are moved ahead.
+  const importBlocks = [];
+  const blocks = [];
+  let header = "";
+  let body = "";
+  let headerLine = 0;
+  let startLine = 0;
+
+  for (const [depth, [index, snippet]] of snippetEntries.entries()) {
+    const { code: snippetCode, imports } = extractImports(snippet.code);
+    for (const { code, line } of imports) {
+      const lineCount = countLines(code) + 1;
+      importBlocks.push({
+        index,
+        prefix: "",
+        startLine: headerLine,
+        lineCount,
+        snippetLine: line
+      });
+      header += `${code}\n`;
+      headerLine += lineCount;
+    }
+
+    const wrapper = wrapperPrefix(snippet, options);
+    const converted = convertModuleSyntax(snippetCode);
+    const code = wrapper ? `${wrapper}${converted}})();` : converted;
+    const lineCount = countLines(code) + 1;
+    blocks.push({
+      index,
+      depth,
+      wrapper,
+      prefix: `{${wrapper}`,
+      startLine,
+      lineCount
+    });
+    body += `{${code}\n`;
+    startLine += lineCount;
+  }
+
+  for (const block of blocks) {
+    block.startLine += headerLine;
+  }
+
+  const source = `${header}${body}${"}".repeat(blocks.length)}\n`;
+  return { source, blocks, importBlocks };
+}
+
+function createProgram(ts, parsed, virtualPath, source) {
+  const compilerOptions = {
+    ...parsed.options,
+    // the snippets form a script rather than a module of their own
+    isolatedModules: false,
+    noEmit: true
+  };
+
+  const host = ts.createCompilerHost(compilerOptions);
+  const { fileExists, getSourceFile, readFile } = host;
+  host.fileExists = fileName =>
+    fileName === virtualPath || fileExists.call(host, fileName);
+  host.readFile = fileName =>
+    fileName === virtualPath ? source : readFile.call(host, fileName);
+  host.getSourceFile = (fileName, languageVersion, ...rest) =>
+    fileName === virtualPath
+      ? ts.createSourceFile(fileName, source, languageVersion, true)
+      : getSourceFile.call(host, fileName, languageVersion, ...rest);
+
+  // check against the project files so that its types are available
+  return ts.createProgram({
+    rootNames: [...parsed.fileNames, virtualPath],
+    options: compilerOptions,
+    host
+  });
+}
+
+function locateDiagnostic(sourceFile, blocks, diagnostic) {
+  const { line, character } = sourceFile.getLineAndCharacterOfPosition(
+    diagnostic.start
+  );
+  const block = blocks.find(
+    ({ startLine, lineCount }) =>
+      line >= startLine && line < startLine + lineCount
+  );
+  if (!block) {
+    return null;
+  }
+
+  const blockLine = line - block.startLine;
+  const snippetLine = (block.snippetLine || 1) + blockLine;
+  const column =
+    blockLine === 0 ? character - block.prefix.length + 1 : character + 1;
+  return {
+    index: block.index,
+    position: { line: snippetLine, column: Math.max(column, 1) }
+  };
+}
+
+function tsSnippetEntries(snippets) {
+  return Array.from(snippets.entries()).filter(
+    ([, snippet]) => snippet.lang === "typescript" && snippet.flags.evaluate
+  );
+}
+
+function createSnippetsProgram(snippetEntries, options) {
+  if (!options.tsconfigPath) {
+    throw new Error("tsconfig must be specified to typecheck snippets");
+  }
+
+  const ts = requireTypescript(options.tsconfigPath);
+  const parsed = loadTsconfig(ts, options.tsconfigPath);
+  const extension = parsed.options.jsx ? ".tsx" : ".ts";
+  const virtualPath = path
+    .join(options.pwdPath || process.cwd(), `${VIRTUAL_BASENAME}${extension}`)
+    .replace(/\\/g, "/");
+
+  const { source, blocks, importBlocks } = createSource(
+    snippetEntries,
+    options
+  );
+  const program = createProgram(ts, parsed, virtualPath, source);
+  const sourceFile = program.getSourceFile(virtualPath);
+
+  return { ts, program, sourceFile, blocks, importBlocks };
+}
+
+module.exports = function typecheckSnippets(snippets, options) {
+  const snippetEntries = tsSnippetEntries(snippets);
+  if (snippetEntries.length === 0) {
+    return {};
+  }
+
+  const {
+    ts,
+    program,
+    sourceFile,
+    blocks,
+    importBlocks
+  } = createSnippetsProgram(snippetEntries, options);
+  const allBlocks = [...importBlocks, ...blocks];
+
+  // group the messages of the diagnostics by the snippet they arose in
+  const reported = new Map();
+  for (const diagnostic of ts.getPreEmitDiagnostics(program, sourceFile)) {
+    if (diagnostic.file !== sourceFile) continue;
+    const located = locateDiagnostic(sourceFile, allBlocks, diagnostic);
+    if (!located) continue;
+
+    const message = `TS${diagnostic.code}: ${ts.flattenDiagnosticMessageText(
+      diagnostic.messageText,
+      "\n"
+    )}`;
+    if (!reported.has(located.index)) {
+      reported.set(located.index, { position: located.position, messages: [] });
+    }
+    reported.get(located.index).messages.push(message);
+  }
+
+  const typeErrors = {};
+  for (const [index, snippet] of snippetEntries) {
+    const diagnostics = reported.get(index);
+    if (snippet.flags.expectTypeError) {
+      if (!diagnostics) {
+        typeErrors[index] = new errors.SnippetTypeError({
+          message: "expected a type error but none was reported",
+          data: { messages: [] }
+        });
+      }
+    } else if (diagnostics) {
+      const { position, messages } = diagnostics;
+      typeErrors[index] = new errors.SnippetTypeError({
+        message: messages.join("\n"),
+        data: { position, messages }
+      });
+    }
+  }
+  return typeErrors;
+};
+
+module.exports.createSnippetsProgram = createSnippetsProgram;
+module.exports.tsSnippetEntries = tsSnippetEntries;
@@ -0,0 +1,41 @@
+const debug = require("./debug").extend("worker");
+const errors = require("./errors");
+const Evaldown = require("./Evaldown");
+
+let evaldown = null;
+
+function preparedToJSON(prepared) {
+  const { checkErrors } = prepared;
+  if (!checkErrors) {
+    return prepared;
+  }
+
+  const checkErrorsJSON = {};
+  for (const [index, error] of Object.entries(checkErrors)) {
+    checkErrorsJSON[index] = errors.errorToJSON(error);
+  }
+  return { ...prepared, checkErrors: checkErrorsJSON };
+}
+
+async function prepareFile(sourceFile) {
+  try {
+    const prepared = await evaldown.prepareFile(sourceFile);
+    return { prepared: preparedToJSON(prepared) };
+  } catch (e) {
+    return { error: errors.errorToJSON(e) };
+  }
+}
+
+process.on("message", async message => {
+  if (message.type === "init") {
+    evaldown = new Evaldown(message.options);
+    debug("initialised worker %d", process.pid);
+  } else if (message.type === "prepare") {
+    const result = await prepareFile(message.sourceFile);
+    process.send({
+      type: "prepared",
+      sourceFile: message.sourceFile,
+      ...result
+    });
+  }
+});
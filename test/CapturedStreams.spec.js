@@ -0,0 +1,82 @@
+const expect = require("unexpected");
+
+const CapturedStreams = require("../lib/CapturedStreams");
+
+describe("CapturedStreams", () => {
+  let capturedStreams;
+
+  beforeEach(() => {
+    capturedStreams = new CapturedStreams({
+      getExpect() {
+        return expect.clone();
+      }
+    });
+  });
+
+  afterEach(() => {
+    capturedStreams.stop();
+  });
+
+  it("should intercept writes to stdout and stderr", () => {
+    const originalWrite = process.stdout.write;
+
+    capturedStreams.start();
+    process.stdout.write("out");
+    process.stderr.write(Buffer.from("err"));
+    capturedStreams.stop();
+
+    expect(process.stdout.write, "to be", originalWrite);
+    expect(capturedStreams.segments, "to equal", [
+      { name: "stdout", text: "out" },
+      { name: "stderr", text: "err" }
+    ]);
+  });
+
+  it("should call back once a write has been captured", done => {
+    capturedStreams.start();
+    process.stdout.write("out", () => {
+      capturedStreams.stop();
+      done();
+    });
+  });
+
+  it("should be empty without writes", () => {
+    capturedStreams.start();
+    capturedStreams.stop();
+
+    expect(capturedStreams.isEmpty(), "to be true");
+  });
+
+  it("should combine consecutive writes to the same stream", () => {
+    capturedStreams.write("stdout", "a");
+    capturedStreams.write("stdout", "b\n");
+    capturedStreams.write("stderr", "c\n");
+
+    expect(capturedStreams.toString("text"), "to equal", "ab\n[stderr] c");
+  });
+
+  it("should label the lines written to stderr in text", () => {
+    capturedStreams.start();
+    process.stdout.write("first\n");
+    process.stderr.write("second\nthird\n");
+    process.stdout.write("fourth\n");
+    capturedStreams.stop();
+
+    expect(
+      capturedStreams.toString("text"),
+      "to equal",
+      "first\n[stderr] second\n[stderr] third\nfourth"
+    );
+  });
+
+  it("should distinguish writes to stderr in html", () => {
+    capturedStreams.write("stdout", "fine\n");
+    capturedStreams.write("stderr", "bad\n");
+
+    expect(
+      capturedStreams.toString("html"),
+      "to contain",
+      '<div>fine</div><div><span style="color: red; font-weight: bold">bad</span></div>'
+    );
+  });
+});
@@ -2,13 +2,16 @@ const expect = require("unexpected")
   .clone()
   .use(require("unexpected-sinon"))
   .use(require("unexpected-snapshot"));
+const buble = require("buble");
 const expectNoSnapshot = require("unexpected");
 const fsExtra = require("fs-extra");
 const path = require("path");
 const sinon = require("sinon");
 
+const errors = require("../lib/errors");
 const Evaldown = require("../lib/Evaldown");
 const Stats = require("../lib/Stats");
+const TestStats = require("../lib/TestStats");
 
 const TESTDATA_PATH = path.join(__dirname, "..", "testdata");
 const TESTDATA_OUTPUT_PATH = path.join(TESTDATA_PATH, "output");
@@ -91,6 +94,234 @@ describe("Evaldown", () => {
     });
   });
 
+  describe("with concurrency", () => {
+    it("should throw when combined with file globals", () => {
+      expect(
+        () => {
+          new Evaldown({
+            concurrency: 2,
+            fileGlobals: { foo: () => "foo" }
+          });
+        },
+        "to throw",
+        "Evaldown: fileGlobals cannot be used with concurrency"
+      );
+    });
+
+    it("should throw when combined with transpilers", () => {
+      expect(
+        () => {
+          new Evaldown({
+            concurrency: 2,
+            transpilers: { jsx: code => code }
+          });
+        },
+        "to throw",
+        "Evaldown: transpilers cannot be used with concurrency"
+      );
+    });
+
+    it("should throw when combined with custom runners", () => {
+      expect(
+        () => {
+          new Evaldown({
+            concurrency: 2,
+            runners: { shout: code => code.toUpperCase() }
+          });
+        },
+        "to throw",
+        "Evaldown: custom runners cannot be used with concurrency"
+      );
+    });
+
+    it("should generate files using workers", async () => {
+      const evaldown = new Evaldown({
+        concurrency: 2,
+        sourcePath: path.join(TESTDATA_PATH, "nested"),
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      const stats = await evaldown.processFiles();
+
+      expect(stats, "to satisfy", { succeeded: 2, errored: 0 });
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "index.html"),
+        "to be present on disk"
+      );
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "child", "inner.html"),
+        "to be present on disk"
+      );
+    });
+
+    it("should record errors from workers in the returned stats", async () => {
+      const evaldown = new Evaldown({
+        concurrency: 2,
+        sourcePath: path.join(TESTDATA_PATH, "some-errors"),
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      const stats = await evaldown.processFiles();
+
+      expect(stats, "to satisfy", {
+        succeeded: 0,
+        errored: 1,
+        errorEntries: [
+          {
+            file: "example.md",
+            error: expect.it("to be an", errors.FileEvaluationError)
+          }
+        ]
+      });
+      expect(
+        stats.toReport(),
+        "to equal snapshot",
+        expect.unindent`
+          processed 1 file with errors...
+
+          "example.md" FileEvaluationError:
+            - [line 4] ReferenceError: expect is not defined
+                2 |
+                3 | \`\`\`javascript
+              > 4 | expect("f00", "to equal", "foo");
+                  | ^
+                5 | \`\`\`
+                6 |
+        `
+      );
+    });
+
+    it("should allow checking files using workers", async () => {
+      const evaldown = new Evaldown({
+        check: true,
+        concurrency: 2,
+        sourcePath: path.join(TESTDATA_PATH, "check-stale")
+      });
+
+      const stats = await evaldown.processFiles();
+
+      expect(stats.errorEntries, "to satisfy", [
+        {
+          error: expect
+            .it("to be an", errors.FileCheckError)
+            .and("to satisfy", {
+              data: {
+                errors: { 1: expect.it("to be an", errors.SnippetCheckError) }
+              }
+            })
+        }
+      ]);
+    });
+  });
+
+  describe("watchFiles()", () => {
+    const sourcePath = path.join(TESTDATA_OUTPUT_PATH, "source");
+    const targetPath = path.join(TESTDATA_OUTPUT_PATH, "target");
+    let watcher;
+
+    beforeEach(async () => {
+      await fsExtra.ensureDir(sourcePath);
+      await fsExtra.copy(
+        path.join(TESTDATA_PATH, "capture-return"),
+        sourcePath
+      );
+    });
+
+    afterEach(async () => {
+      if (watcher) {
+        await watcher.close();
+        watcher = null;
+      }
+    });
+
+    function watchForStats(evaldown) {
+      return new Promise(resolve => {
+        watcher = evaldown.watchFiles(resolve);
+      });
+    }
+
+    it("should process only the changed file", async () => {
+      const evaldown = new Evaldown({ sourcePath, targetPath });
+      const statsPromise = watchForStats(evaldown);
+      await watcher.ready;
+
+      await fsExtra.writeFile(
+        path.join(sourcePath, "captured.md"),
+        "```javascript\nreturn 'changed';\n```\n\n```output\n```\n"
+      );
+
+      expect(await statsPromise, "to satisfy", {
+        succeeded: 1,
+        errored: 0
+      });
+      await expect(
+        path.join(targetPath, "captured.html"),
+        "to be present on disk with content satisfying",
+        "to contain",
+        "changed"
+      );
+      await expect(
+        path.join(targetPath, "types.html"),
+        "not to be present on disk"
+      );
+    });
+
+    it("should process all files when the preamble changes", async () => {
+      const preamblePath = path.join(TESTDATA_OUTPUT_PATH, "preamble.js");
+      await fsExtra.writeFile(preamblePath, "");
+      const evaldown = new Evaldown({
+        sourcePath,
+        targetPath,
+        filePreamble: "",
+        filePreamblePath: preamblePath
+      });
+      const statsPromise = watchForStats(evaldown);
+      await watcher.ready;
+
+      await fsExtra.writeFile(preamblePath, "var fromPreamble = true;");
+
+      expect(await statsPromise, "to satisfy", {
+        succeeded: 2,
+        errored: 0
+      });
+      expect(evaldown.preamble, "to equal", "var fromPreamble = true;");
+    });
+
+    it("should ignore writes that leave the content unchanged", async () => {
+      const evaldown = new Evaldown({ sourcePath, targetPath });
+      const onStats = sinon.spy();
+      watcher = evaldown.watchFiles(onStats);
+      await watcher.ready;
+
+      const sourceFilePath = path.join(sourcePath, "captured.md");
+      await fsExtra.writeFile(sourceFilePath, "```javascript\n```\n");
+      await new Promise(resolve => setTimeout(resolve, 500));
+      await fsExtra.writeFile(sourceFilePath, "```javascript\n```\n");
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      expect(onStats, "was called once");
+    });
+
+    it("should pass errors while processing to the error callback", async () => {
+      const evaldown = new Evaldown({ sourcePath, targetPath });
+      const processingError = new Error("processing failed");
+      sinon.stub(evaldown, "processFiles").rejects(processingError);
+      const onStats = sinon.spy();
+      const errorPromise = new Promise(resolve => {
+        watcher = evaldown.watchFiles(onStats, resolve);
+      });
+      await watcher.ready;
+
+      await fsExtra.writeFile(
+        path.join(sourcePath, "captured.md"),
+        "```javascript\nreturn 'changed';\n```\n"
+      );
+
+      expect(await errorPromise, "to be", processingError);
+      expect(onStats, "was not called");
+    });
+  });
+
   describe("with nested folders", () => {
     it("should generate the tree", async function() {
       const evaldown = new Evaldown({
@@ -208,6 +439,94 @@ describe("Evaldown", () => {
     });
   });
 
+  describe("with isolation selection", () => {
+    it("should throw on an invalid isolation", () => {
+      expect(
+        () => {
+          new Evaldown({ isolation: "foobar" });
+        },
+        "to throw",
+        'Evaldown: Unsupported isolation type "foobar"'
+      );
+    });
+
+    it('should default to "global"', () => {
+      const evaldown = new Evaldown({});
+
+      expect(evaldown.isolation, "to equal", "global");
+    });
+
+    it('should allow evaluating in a "context"', async () => {
+      const evaldown = new Evaldown({
+        isolation: "context",
+        outputFormat: "markdown",
+        sourcePath: path.join(TESTDATA_PATH, "capture-return"),
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      const stats = await evaldown.processFiles();
+
+      expect(stats, "to satisfy", { succeeded: 2, errored: 0 });
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "captured.md"),
+        "to be present on disk with content satisfying",
+        "to contain",
+        "{ foo: 'bar' }"
+      );
+    });
+  });
+
+  describe("with timeout", () => {
+    it("should fail snippets that run beyond the timeout", async () => {
+      const evaldown = new Evaldown({
+        outputFormat: "markdown",
+        sourcePath: path.join(TESTDATA_PATH, "timeout"),
+        targetPath: TESTDATA_OUTPUT_PATH,
+        timeout: 50
+      });
+
+      const stats = await evaldown.processFiles();
+
+      expect(stats, "to satisfy", {
+        succeeded: 0,
+        errored: 1,
+        errorEntries: [
+          {
+            file: "example.md",
+            error: expect.it("to be an", errors.FileEvaluationError)
+          }
+        ]
+      });
+      expect(
+        stats.toReport(),
+        "to equal snapshot",
+        expect.unindent`
+          processed 1 file with errors...
+
+          "example.md" FileEvaluationError:
+            - [line 4] SnippetTimeoutError: snippet timed out after 50ms
+                2 |
+                3 | \`\`\`javascript
+              > 4 | while (true) {}
+                5 | \`\`\`
+                6 |
+            - [line 10] SnippetTimeoutError: snippet timed out after 50ms
+                 8 |
+                 9 | \`\`\`javascript#async:true,timeout:50
+              > 10 | return new Promise(() => {});
+                11 | \`\`\`
+                12 |
+        `
+      );
+    });
+
+    it("should ignore a timeout that is not a positive number", () => {
+      const evaldown = new Evaldown({ timeout: -1 });
+
+      expect(evaldown.timeout, "to be undefined");
+    });
+  });
+
   describe("with output format selection", function() {
     it("should throw on an invalid format", () => {
       expect(
@@ -301,6 +620,117 @@ describe("Evaldown", () => {
         `
       );
     });
+
+    describe("with custom formats", () => {
+      const jsonFormat = {
+        defaultExtension: ".json",
+        magicpenFormat: "text",
+        generateOutput: async maker =>
+          JSON.stringify({
+            content: (await maker.withUpdatedExamples()).toText()
+          })
+      };
+
+      it("should allow outputting a custom format", async () => {
+        const evaldown = new Evaldown({
+          formats: { json: jsonFormat },
+          outputFormat: "json",
+          sourcePath: path.join(TESTDATA_PATH, "check-fresh"),
+          targetPath: TESTDATA_OUTPUT_PATH
+        });
+
+        await evaldown.processFiles();
+
+        await expect(
+          path.join(TESTDATA_OUTPUT_PATH, "example.json"),
+          "to be present on disk with content satisfying",
+          "when passed as parameter to",
+          JSON.parse,
+          "to satisfy",
+          { content: expect.it("to contain", "'foobar'") }
+        );
+      });
+
+      it("should throw when overriding a builtin format", () => {
+        expect(
+          () => {
+            new Evaldown({ formats: { html: jsonFormat } });
+          },
+          "to throw",
+          'Evaldown: Cannot override the builtin format "html"'
+        );
+      });
+
+      it("should throw on an invalid defaultExtension", () => {
+        expect(
+          () => {
+            new Evaldown({
+              formats: { json: { ...jsonFormat, defaultExtension: null } }
+            });
+          },
+          "to throw",
+          'Evaldown: Invalid defaultExtension for format "json"'
+        );
+      });
+
+      it("should throw on a defaultExtension without a leading dot", () => {
+        expect(
+          () => {
+            new Evaldown({
+              formats: { json: { ...jsonFormat, defaultExtension: "json" } }
+            });
+          },
+          "to throw",
+          'Evaldown: Invalid defaultExtension for format "json"'
+        );
+      });
+
+      it("should allow a defaultExtension with several parts", () => {
+        expect(() => {
+          new Evaldown({
+            formats: { json: { ...jsonFormat, defaultExtension: ".out.json" } }
+          });
+        }, "not to throw");
+      });
+
+      it("should throw on an invalid magicpenFormat", () => {
+        expect(
+          () => {
+            new Evaldown({
+              formats: { json: { ...jsonFormat, magicpenFormat: "foobar" } }
+            });
+          },
+          "to throw",
+          'Evaldown: Invalid magicpenFormat for format "json"'
+        );
+      });
+
+      it("should throw on an invalid generateOutput", () => {
+        expect(
+          () => {
+            new Evaldown({
+              formats: { json: { ...jsonFormat, generateOutput: null } }
+            });
+          },
+          "to throw",
+          'Evaldown: Invalid generateOutput for format "json"'
+        );
+      });
+
+      it("should throw when used with concurrency", () => {
+        expect(
+          () => {
+            new Evaldown({
+              concurrency: 2,
+              formats: { json: jsonFormat },
+              outputFormat: "json"
+            });
+          },
+          "to throw",
+          "Evaldown: custom formats cannot be used with concurrency"
+        );
+      });
+    });
   });
 
   describe("with file globals", () => {
@@ -327,6 +757,353 @@ describe("Evaldown", () => {
     });
   });
 
+  describe("with metadata", () => {
+    it("should pass typed values to file globals", async () => {
+      const evaldown = new Evaldown({
+        outputFormat: "markdown",
+        sourcePath: path.join(TESTDATA_PATH, "metadata"),
+        targetPath: TESTDATA_OUTPUT_PATH,
+        fileGlobals: {
+          pageTags: ({ metadata }) => metadata.tags
+        }
+      });
+
+      await evaldown.processFile("typed.md");
+
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "typed.md"),
+        "to be present on disk with content satisfying",
+        "to contain",
+        "[ 'one', 'two' ]"
+      );
+    });
+
+    it("should record an error for malformed metadata", async () => {
+      const evaldown = new Evaldown({
+        sourcePath: path.join(TESTDATA_PATH, "metadata"),
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      const stats = await evaldown.processFiles(["malformed.md"]);
+
+      expect(stats.errorEntries, "to satisfy", [
+        {
+          file: "malformed.md",
+          error: expect.it("to be an", errors.FileMetadataError)
+        }
+      ]);
+    });
+  });
+
+  describe("with file options in metadata", () => {
+    const sourcePath = path.join(TESTDATA_PATH, "file-options");
+
+    async function processFile(file) {
+      const evaldown = new Evaldown({
+        outputFormat: "markdown",
+        sourcePath,
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      const stats = await evaldown.processFiles([file]);
+      return { stats, outputFile: path.join(TESTDATA_OUTPUT_PATH, file) };
+    }
+
+    it("should override the capture and add globals", async () => {
+      const { stats, outputFile } = await processFile("console.md");
+
+      expect(stats.toJSON(), "to satisfy", { errored: 0 });
+      await expect(
+        outputFile,
+        "to be present on disk with content satisfying",
+        "to contain",
+        "```output\n'hello'\n```"
+      );
+    });
+
+    it("should evaluate each snippet in a fresh context", async () => {
+      const { outputFile } = await processFile("fresh.md");
+
+      await expect(
+        outputFile,
+        "to be present on disk with content satisfying",
+        "to contain",
+        "```output\n'undefined'\n```"
+      );
+    });
+
+    it("should load a preamble relative to the file", async () => {
+      const { outputFile } = await processFile("required.md");
+
+      await expect(
+        outputFile,
+        "to be present on disk with content satisfying",
+        "to contain",
+        "```output\n'from helper'\n```"
+      );
+    });
+
+    it("should skip evaluating the file", async () => {
+      const { stats } = await processFile("skipped.md");
+
+      expect(stats.toJSON(), "to satisfy", { succeeded: 1, errored: 0 });
+    });
+
+    it("should leave a skipped file untouched inplace", async () => {
+      const sourceFilePath = path.join(sourcePath, "skipped.md");
+      const originalSource = await fsExtra.readFile(sourceFilePath, "utf8");
+
+      const stats = await new Evaldown({
+        inplace: true,
+        sourcePath
+      }).processFiles(["skipped.md"]);
+
+      try {
+        expect(stats.toJSON(), "to satisfy", { succeeded: 1, errored: 0 });
+        await expect(
+          sourceFilePath,
+          "to be present on disk with content satisfying",
+          "to equal",
+          originalSource
+        );
+      } finally {
+        await fsExtra.writeFile(sourceFilePath, originalSource, "utf8");
+      }
+    });
+
+    it("should record an error for invalid options", async () => {
+      const { stats } = await processFile("invalid.md");
+
+      expect(stats.errorEntries, "to satisfy", [
+        {
+          file: "invalid.md",
+          error: expect
+            .it("to be an", errors.FileMetadataError)
+            .and(
+              "to have message",
+              'invalid "evaldown" front matter: unsupported capture "everything"'
+            )
+        }
+      ]);
+    });
+  });
+
+  describe("with named snippets", () => {
+    it("should use and output named snippets", async () => {
+      const evaldown = new Evaldown({
+        outputFormat: "markdown",
+        sourcePath: path.join(TESTDATA_PATH, "named-snippets"),
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      const stats = await evaldown.processFiles();
+
+      expect(stats.toJSON(), "to satisfy", { errored: 0 });
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "example.md"),
+        "to be present on disk with content satisfying",
+        expect
+          .it("to contain", "return bump();\n```\n\n```output\n1\n```")
+          .and(
+            "to contain",
+            "<!-- evaldown from:\"later\" -->\n```output\n'later value'\n```"
+          )
+      );
+    });
+
+    it("should pass the check when outputs are fresh", async () => {
+      const evaldown = new Evaldown({
+        check: true,
+        sourcePath: path.join(TESTDATA_PATH, "named-snippets")
+      });
+
+      const stats = await evaldown.processFiles();
+
+      expect(stats.toJSON(), "to satisfy", { succeeded: 1, errored: 0 });
+    });
+  });
+
+  describe("with included files", () => {
+    const sourcePath = path.join(TESTDATA_PATH, "include");
+
+    it("should refresh the included code", async () => {
+      const evaldown = new Evaldown({
+        outputFormat: "markdown",
+        sourcePath,
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      await evaldown.processFiles(["example.md"]);
+
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "example.md"),
+        "to be present on disk with content satisfying",
+        expect
+          .it("to contain", "// #endregion\n}\n")
+          .and("to contain", "```output\n'Hello, world'\n```")
+          .and(
+            "to contain",
+            'lines:8, evaluate:false -->\n```js\nconsole.log(greet("world"));\n```'
+          )
+      );
+    });
+
+    it("should report stale included code when checking", async () => {
+      const evaldown = new Evaldown({
+        check: true,
+        sourcePath
+      });
+
+      const stats = await evaldown.processFiles(["example.md"]);
+
+      expect(stats.errorEntries, "to satisfy", [
+        {
+          error: expect
+            .it("to be an", errors.FileCheckError)
+            .and("to satisfy", {
+              data: {
+                errors: {
+                  0: { message: "included code is stale" }
+                }
+              }
+            })
+        }
+      ]);
+    });
+
+    it("should keep hidden and setup blocks when refreshing inplace", async () => {
+      const sourceFilePath = path.join(sourcePath, "hidden.md");
+      const originalSource = await fsExtra.readFile(sourceFilePath, "utf8");
+
+      await new Evaldown({
+        inplace: true,
+        sourcePath
+      }).processFiles(["hidden.md"]);
+
+      try {
+        await expect(
+          sourceFilePath,
+          "to be present on disk with content satisfying",
+          "to equal snapshot",
+          expect.unindent`
+            # Including hidden files
+
+            <!-- evaldown include:"examples/greet.js", region:"body", hide:true, evaluate:false -->
+            \`\`\`js
+            const greeting = ["Hello", name].join(", ");
+            return greeting;
+            \`\`\`
+
+            <!-- evaldown setup, include:"examples/greet.js", lines:"1-6" -->
+            \`\`\`js
+            function greet(name) {
+              // #region body
+              const greeting = ["Hello", name].join(", ");
+              return greeting;
+              // #endregion
+            }
+            \`\`\`
+
+            \`\`\`js
+            return "shown";
+            \`\`\`
+
+            \`\`\`output
+            'shown'
+            \`\`\`
+
+          `
+        );
+      } finally {
+        await fsExtra.writeFile(sourceFilePath, originalSource, "utf8");
+      }
+    });
+
+    it("should record an error for a missing file", async () => {
+      const evaldown = new Evaldown({
+        sourcePath,
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      const stats = await evaldown.processFiles(["missing.md"]);
+
+      expect(stats.errorEntries, "to satisfy", [
+        {
+          error: expect
+            .it("to be an", errors.FileEvaluationError)
+            .and("to satisfy", {
+              data: {
+                errors: {
+                  0: {
+                    message: 'unable to include "examples/missing.js" (ENOENT)'
+                  }
+                }
+              }
+            })
+        }
+      ]);
+    });
+  });
+
+  describe("with module syntax", () => {
+    it("should import the local module", async () => {
+      const evaldown = new Evaldown({
+        outputFormat: "markdown",
+        sourcePath: path.join(TESTDATA_PATH, "es-modules"),
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      await evaldown.processFiles();
+
+      const expectedOutputFile = path.join(TESTDATA_OUTPUT_PATH, "example.md");
+      await expect(
+        expectedOutputFile,
+        "to be present on disk with content satisfying",
+        "to equal snapshot",
+        expect.unindent`
+          \`\`\`js
+          import { hello } from "./greetings";
+
+          export const message = hello("modules");
+
+          return message;
+          \`\`\`
+
+          \`\`\`output
+          'Hello, modules!'
+          \`\`\`
+
+        `
+      );
+    });
+  });
+
+  describe("with setup and teardown", () => {
+    it("should run the blocks around the snippets without output", async () => {
+      const evaldown = new Evaldown({
+        outputFormat: "markdown",
+        sourcePath: path.join(TESTDATA_PATH, "lifecycle"),
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      const stats = await evaldown.processFiles();
+
+      expect(stats.toJSON(), "to satisfy", { errored: 0 });
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "example.md"),
+        "to be present on disk with content satisfying",
+        expect
+          .it("not to contain", "global.calls = [];")
+          .and("not to contain", "<!-- evaldown setup")
+          .and("to contain", "```output\n[ 'setup', 'teardown', 'setup' ]\n```")
+          .and(
+            "to contain",
+            "<!-- evaldown freshContext -->\n```js\nreturn global.calls;\n```\n\n```output\n[ 'setup' ]\n```"
+          )
+      );
+    });
+  });
+
   describe("with local module", () => {
     it("should require the module", async () => {
       const evaldown = new Evaldown({
@@ -337,61 +1114,207 @@ describe("Evaldown", () => {
 
       await evaldown.processFiles();
 
-      const expectedOutputFile = path.join(TESTDATA_OUTPUT_PATH, "example.md");
+      const expectedOutputFile = path.join(TESTDATA_OUTPUT_PATH, "example.md");
+      await expect(
+        expectedOutputFile,
+        "to be present on disk with content satisfying",
+        "to equal snapshot",
+        expect.unindent`
+          \`\`\`js
+          const foobar = require('./foobar');
+
+          return foobar;
+          \`\`\`
+
+          \`\`\`output
+          { foo: 'bar' }
+          \`\`\`
+
+        `
+      );
+    });
+  });
+
+  describe("with customised extensions", function() {
+    it("should glob for the supplied extension", async function() {
+      const evaldown = new Evaldown({
+        sourcePath: path.join(TESTDATA_PATH, "extensions"),
+        sourceExtension: ".markdown",
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      await evaldown.processFiles();
+
+      // check the file was created
+      const expectedOutputFile = path.join(TESTDATA_OUTPUT_PATH, "expect.html");
+      await expect(
+        () => fsExtra.pathExists(expectedOutputFile),
+        "to be fulfilled with",
+        true
+      );
+    });
+
+    it("should output the supplied target extension", async function() {
+      const evaldown = new Evaldown({
+        sourcePath: path.join(TESTDATA_PATH, "example"),
+        targetPath: TESTDATA_OUTPUT_PATH,
+        targetExtension: ".ko"
+      });
+
+      await evaldown.processFiles();
+
+      // check the file was created
+      const expectedOutputFile = path.join(TESTDATA_OUTPUT_PATH, "expect.ko");
+      await expect(
+        () => fsExtra.pathExists(expectedOutputFile),
+        "to be fulfilled with",
+        true
+      );
+    });
+  });
+
+  describe("with page output", function() {
+    const sourcePath = path.join(TESTDATA_PATH, "page", "source");
+
+    it("should write complete pages", async function() {
+      const evaldown = new Evaldown({
+        outputPage: true,
+        sourcePath,
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      await evaldown.processFiles();
+
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "example.html"),
+        "to be present on disk with content satisfying",
+        expect
+          .it("to start with", "<!DOCTYPE html>")
+          .and("to contain", "<title>Example Page</title>")
+          .and("to contain", '<a href="#returning-values">Returning values</a>')
+          .and("to contain", ".output {")
+          .and("to contain", 'class="code lang-javascript"')
+      );
+    });
+
+    it("should allow a custom template", async function() {
+      const evaldown = new Evaldown({
+        sourcePath,
+        targetPath: TESTDATA_OUTPUT_PATH,
+        templatePath: path.join(TESTDATA_PATH, "page", "template.html")
+      });
+
+      await evaldown.processFiles();
+
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "example.html"),
+        "to be present on disk with content satisfying",
+        "to contain",
+        "<title>Example Page - Example Page</title>"
+      );
+    });
+
+    it("should record an error for a missing template", async function() {
+      const evaldown = new Evaldown({
+        sourcePath,
+        targetPath: TESTDATA_OUTPUT_PATH,
+        templatePath: path.join(TESTDATA_PATH, "page", "nonexistent.html")
+      });
+
+      const stats = await evaldown.processFiles();
+
+      expect(stats.errorEntries, "to satisfy", [
+        { error: expect.it("to be an", errors.TemplateFileError) }
+      ]);
+    });
+
+    it("should throw when not outputting html", () => {
+      expect(
+        () => {
+          new Evaldown({ outputFormat: "markdown", outputPage: true });
+        },
+        "to throw",
+        'Evaldown: page output requires the "html" format'
+      );
+    });
+  });
+
+  describe("with site output", function() {
+    const sourcePath = path.join(TESTDATA_PATH, "site");
+
+    it("should rewrite links between pages", async function() {
+      const evaldown = new Evaldown({
+        site: true,
+        sourcePath,
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      await evaldown.processFiles();
+
       await expect(
-        expectedOutputFile,
+        path.join(TESTDATA_OUTPUT_PATH, "guide", "usage.html"),
         "to be present on disk with content satisfying",
-        "to equal snapshot",
-        expect.unindent`
-          \`\`\`js
-          const foobar = require('./foobar');
-
-          return foobar;
-          \`\`\`
-
-          \`\`\`output
-          { foo: 'bar' }
-          \`\`\`
-
-        `
+        expect
+          .it("to contain", '<a href="../intro.html">introduction</a>')
+          .and("to contain", '<nav class="site">')
+          .and(
+            "to contain",
+            '<li class="active"><a href="usage.html">Usage</a></li>'
+          )
+      );
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "intro.html"),
+        "to be present on disk with content satisfying",
+        "to contain",
+        '<a href="guide/usage.html#setup">setting things up</a>'
       );
     });
-  });
 
-  describe("with customised extensions", function() {
-    it("should glob for the supplied extension", async function() {
+    it("should write an index page", async function() {
       const evaldown = new Evaldown({
-        sourcePath: path.join(TESTDATA_PATH, "extensions"),
-        sourceExtension: ".markdown",
+        site: true,
+        sourcePath,
         targetPath: TESTDATA_OUTPUT_PATH
       });
 
       await evaldown.processFiles();
 
-      // check the file was created
-      const expectedOutputFile = path.join(TESTDATA_OUTPUT_PATH, "expect.html");
       await expect(
-        () => fsExtra.pathExists(expectedOutputFile),
-        "to be fulfilled with",
-        true
+        path.join(TESTDATA_OUTPUT_PATH, "index.html"),
+        "to be present on disk with content satisfying",
+        expect
+          .it("to contain", "<title>Contents</title>")
+          .and("to contain", '<a href="guide/usage.html">Usage</a>')
       );
     });
 
-    it("should output the supplied target extension", async function() {
+    it("should record an error for broken links", async function() {
       const evaldown = new Evaldown({
-        sourcePath: path.join(TESTDATA_PATH, "example"),
-        targetPath: TESTDATA_OUTPUT_PATH,
-        targetExtension: ".ko"
+        site: true,
+        sourcePath,
+        targetPath: TESTDATA_OUTPUT_PATH
       });
 
-      await evaldown.processFiles();
+      const stats = await evaldown.processFiles();
 
-      // check the file was created
-      const expectedOutputFile = path.join(TESTDATA_OUTPUT_PATH, "expect.ko");
-      await expect(
-        () => fsExtra.pathExists(expectedOutputFile),
-        "to be fulfilled with",
-        true
+      expect(stats.toJSON(), "to satisfy", { succeeded: 2, errored: 1 });
+      expect(stats.errorEntries, "to satisfy", [
+        {
+          file: "broken.md",
+          error: expect
+            .it("to be an", errors.FileLinkError)
+            .and("to satisfy", { data: { links: ["nowhere.md"] } })
+        }
+      ]);
+    });
+
+    it("should throw when not outputting html", () => {
+      expect(
+        () => {
+          new Evaldown({ outputFormat: "markdown", site: true });
+        },
+        "to throw",
+        'Evaldown: page output requires the "html" format'
       );
     });
   });
@@ -546,6 +1469,139 @@ describe("Evaldown", () => {
     });
   });
 
+  describe("when operating in check mode", function() {
+    it("should record stale output blocks in the returned stats", async () => {
+      const evaldown = new Evaldown({
+        check: true,
+        sourcePath: path.join(TESTDATA_PATH, "check-stale"),
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      const stats = await evaldown.processFiles();
+
+      expect(stats, "to satisfy", {
+        succeeded: 0,
+        errored: 1,
+        errorEntries: [
+          {
+            file: "example.md",
+            error: expect
+              .it("to be an", errors.FileCheckError)
+              .and("to satisfy", {
+                data: {
+                  errors: {
+                    1: expect.it("to be an", errors.SnippetCheckError)
+                  }
+                }
+              })
+          }
+        ]
+      });
+    });
+
+    it("should succeed when output blocks are up-to-date", async () => {
+      const evaldown = new Evaldown({
+        check: true,
+        sourcePath: path.join(TESTDATA_PATH, "check-fresh"),
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      const stats = await evaldown.processFiles();
+
+      expect(stats, "to satisfy", {
+        succeeded: 1,
+        errored: 0
+      });
+    });
+
+    it("should not write an output file", async () => {
+      const evaldown = new Evaldown({
+        check: true,
+        sourcePath: path.join(TESTDATA_PATH, "check-stale"),
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      await evaldown.processFiles();
+
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "example.html"),
+        "not to be present on disk"
+      );
+    });
+  });
+
+  describe("test()", () => {
+    it("should return test stats", async () => {
+      const evaldown = new Evaldown({
+        sourcePath: path.join(TESTDATA_PATH, "check-stale")
+      });
+
+      const testStats = await evaldown.test();
+
+      expect(testStats, "to be a", TestStats).and("to satisfy", {
+        passed: 1,
+        failed: 1,
+        fileEntries: [
+          {
+            file: "example.md",
+            tests: [
+              {
+                title: 'return "foo" + "bar";',
+                error: expect.it("to be an", errors.SnippetCheckError)
+              },
+              {
+                title: 'return ["foo", "bar"].length;',
+                error: null
+              }
+            ]
+          }
+        ]
+      });
+    });
+
+    it("should record snippet evaluation errors against the test", async () => {
+      const evaldown = new Evaldown({
+        sourcePath: path.join(TESTDATA_PATH, "some-errors")
+      });
+
+      const testStats = await evaldown.test();
+
+      expect(testStats.fileEntries, "to satisfy", [
+        {
+          file: "example.md",
+          tests: [
+            { error: expect.it("to be an", errors.SnippetEvaluationError) },
+            { error: expect.it("to be an", errors.SnippetCheckError) }
+          ]
+        }
+      ]);
+    });
+
+    it("should allow restricting the files to test", async () => {
+      const evaldown = new Evaldown({
+        sourcePath: path.join(TESTDATA_PATH, "nested")
+      });
+
+      const testStats = await evaldown.test(["index.md"]);
+
+      expect(testStats.fileEntries, "to satisfy", [{ file: "index.md" }]);
+    });
+
+    it("should not write any files", async () => {
+      const evaldown = new Evaldown({
+        sourcePath: path.join(TESTDATA_PATH, "check-stale"),
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      await evaldown.test();
+
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "example.html"),
+        "not to be present on disk"
+      );
+    });
+  });
+
   describe("when serialising values", () => {
     it('should inspect all values for capture mode "return"', async function() {
       const evaldown = new Evaldown({
@@ -655,6 +1711,223 @@ describe("Evaldown", () => {
     });
   });
 
+  describe("with runners", () => {
+    it("should throw on an unsupported runner", () => {
+      expect(
+        () => {
+          new Evaldown({ runners: { cobol: true } });
+        },
+        "to throw",
+        'Evaldown: Unsupported runner "cobol"'
+      );
+    });
+
+    it("should throw on an invalid runner", () => {
+      expect(
+        () => {
+          new Evaldown({ runners: { sh: "yes" } });
+        },
+        "to throw",
+        'Evaldown: Invalid runner for language "sh"'
+      );
+    });
+
+    it("should capture the output of the runners", async () => {
+      const evaldown = new Evaldown({
+        outputFormat: "markdown",
+        runners: { sh: true, json: true },
+        sourcePath: path.join(TESTDATA_PATH, "runners"),
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      await evaldown.processFiles(["example.md"]);
+
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "example.md"),
+        "to be present on disk with content satisfying",
+        "to contain",
+        "```output\nhello from runners\nto stderr\n```"
+      );
+    });
+
+    it("should record errors from the runners", async () => {
+      const evaldown = new Evaldown({
+        outputFormat: "markdown",
+        runners: { sh: true, json: true },
+        sourcePath: path.join(TESTDATA_PATH, "runners"),
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      const stats = await evaldown.processFiles(["failing.md"]);
+
+      expect(stats.errorEntries, "to satisfy", [
+        {
+          file: "failing.md",
+          error: {
+            data: {
+              errors: {
+                0: {
+                  message: "command exited with code 3\nfailing",
+                  data: { line: 2 }
+                },
+                1: { data: { line: 7 } }
+              }
+            }
+          }
+        }
+      ]);
+    });
+  });
+
+  describe("with transpilers", () => {
+    it("should throw on an invalid transpiler", () => {
+      expect(
+        () => {
+          new Evaldown({ transpilers: { jsx: "buble" } });
+        },
+        "to throw",
+        'Evaldown: Invalid transpiler for language "jsx"'
+      );
+    });
+
+    it("should evaluate snippets in the registered languages", async () => {
+      const evaldown = new Evaldown({
+        outputFormat: "markdown",
+        sourcePath: path.join(TESTDATA_PATH, "transpilers"),
+        targetPath: TESTDATA_OUTPUT_PATH,
+        transpilers: {
+          jsx: code => buble.transform(code, { jsx: "h" }).code
+        }
+      });
+
+      const stats = await evaldown.processFiles();
+
+      expect(stats.toJSON(), "to satisfy", { errored: 0 });
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "example.md"),
+        "to be present on disk with content satisfying",
+        "to contain",
+        "```output\n{ type: 'p', children: [ 'Hello' ] }\n```"
+      );
+    });
+  });
+
+  describe("when capturing the process streams", () => {
+    it("should output what was written to stdout and stderr", async () => {
+      const evaldown = new Evaldown({
+        outputCapture: "streams",
+        outputFormat: "markdown",
+        sourcePath: path.join(TESTDATA_PATH, "capture-streams"),
+        targetPath: TESTDATA_OUTPUT_PATH
+      });
+
+      await evaldown.processFiles();
+
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "example.md"),
+        "to be present on disk with content satisfying",
+        "to contain",
+        "```output\nprogress: done\n[stderr] warning: careful\nlogged\n```"
+      );
+    });
+  });
+
+  describe("when capturing typescript types", () => {
+    it("should output the inferred types", async () => {
+      const sourcePath = path.join(TESTDATA_PATH, "capture-types");
+      const evaldown = new Evaldown({
+        outputCapture: "types",
+        outputFormat: "markdown",
+        sourcePath,
+        targetPath: TESTDATA_OUTPUT_PATH,
+        tsconfigPath: path.join(sourcePath, "tsconfig.json")
+      });
+
+      await evaldown.processFiles();
+
+      await expect(
+        path.join(TESTDATA_OUTPUT_PATH, "example.md"),
+        "to be present on disk with content satisfying",
+        "to equal snapshot",
+        expect.unindent`
+          \`\`\`ts
+          function greet(name: string) {
+            return { text: \`Hello, \${name}\` };
+          }
+
+          const greeting = greet("types");
+          \`\`\`
+
+          \`\`\`output
+          greet: (name: string) => { text: string; }
+          greeting: { text: string; }
+          \`\`\`
+
+          \`\`\`ts
+          greeting.text.split(", ");
+          \`\`\`
+
+          \`\`\`output
+          string[]
+          \`\`\`
+
+        `
+      );
+    });
+  });
+
+  describe("when type-checking typescript", () => {
+    const sourcePath = path.join(TESTDATA_PATH, "typecheck");
+
+    it("should accept snippets which are correct or expect a type error", async () => {
+      const evaldown = new Evaldown({
+        outputFormat: "markdown",
+        sourcePath,
+        targetPath: TESTDATA_OUTPUT_PATH,
+        tsconfigPath: path.join(sourcePath, "tsconfig.json"),
+        typecheck: true
+      });
+
+      const stats = await evaldown.processFiles(["example.md"]);
+
+      expect(stats.toJSON(), "to satisfy", { succeeded: 1, errored: 0 });
+    });
+
+    it("should report type errors at their line in the markdown", async () => {
+      const evaldown = new Evaldown({
+        outputFormat: "markdown",
+        sourcePath,
+        targetPath: TESTDATA_OUTPUT_PATH,
+        tsconfigPath: path.join(sourcePath, "tsconfig.json"),
+        typecheck: true
+      });
+
+      const stats = await evaldown.processFiles(["failing.md"]);
+
+      expect(stats.toJSON(), "to satisfy", { errored: 1 });
+      expect(stats.errorEntries, "to satisfy", [
+        {
+          file: "failing.md",
+          error: {
+            name: "FileEvaluationError",
+            data: {
+              errors: {
+                0: {
+                  name: "SnippetTypeError",
+                  message: expect.it(
+                    "to begin with",
+                    "TS2322: Type '{ txt: string; }' is not assignable"
+                  ),
+                  data: { line: 5, column: 3 }
+                }
+              }
+            }
+          }
+        }
+      ]);
+    });
+  });
+
   describe("when using typescript", () => {
     it("should transpile and execute", async function() {
       const sourcePath = path.join(TESTDATA_PATH, "typescript");
@@ -689,6 +1962,28 @@ describe("Evaldown", () => {
         `
       );
     });
+    for (const moduleKind of ["commonjs", "esnext"]) {
+      it(`should convert module syntax with a "${moduleKind}" module`, async () => {
+        const sourcePath = path.join(TESTDATA_PATH, "ts-modules");
+        const evaldown = new Evaldown({
+          outputCapture: "console",
+          outputFormat: "markdown",
+          sourcePath,
+          targetPath: TESTDATA_OUTPUT_PATH,
+          tsconfigPath: path.join(sourcePath, `tsconfig.${moduleKind}.json`)
+        });
+
+        const stats = await evaldown.processFiles();
+
+        expect(stats.toJSON(), "to satisfy", { succeeded: 1, errored: 0 });
+        await expect(
+          path.join(TESTDATA_OUTPUT_PATH, "example.md"),
+          "to be present on disk with content satisfying",
+          "to contain",
+          "```output\n'Hello, typescript!'\n```"
+        );
+      });
+    }
   });
 
   describe("when using per-snippet flags", () => {
@@ -0,0 +1,116 @@
+const expect = require("unexpected")
+  .clone()
+  .use(require("unexpected-snapshot"));
+
+const PageTemplate = require("../lib/PageTemplate");
+
+describe("PageTemplate", () => {
+  describe("render()", () => {
+    const pageTemplate = new PageTemplate(
+      "<title>{{title}}</title>\n<style>{{stylesheet}}</style>\n{{toc}}\n{{content}}",
+      ".code {}"
+    );
+
+    it("should render the page", () => {
+      expect(
+        pageTemplate.render({
+          content: "<p>hello</p>",
+          headings: [
+            { depth: 1, text: "Examples", id: "examples" },
+            { depth: 2, text: "One & Two", id: "one-two" },
+            { depth: 3, text: "Three", id: "three" },
+            { depth: 4, text: "Four", id: "four" }
+          ],
+          metadata: { title: "<Page>" }
+        }),
+        "to equal snapshot",
+        expect.unindent`
+          <title>&lt;Page&gt;</title>
+          <style>.code {}</style>
+          <ul>
+          <li class="toc-depth-2"><a href="#one-two">One &amp; Two</a></li>
+          <li class="toc-depth-3"><a href="#three">Three</a></li>
+          </ul>
+          <p>hello</p>
+        `
+      );
+    });
+
+    it("should default the title to the first top-level heading", () => {
+      expect(
+        pageTemplate.render({
+          content: "",
+          headings: [{ depth: 1, text: "Examples", id: "examples" }]
+        }),
+        "to start with",
+        "<title>Examples</title>"
+      );
+    });
+
+    it("should allow the title to be supplied", () => {
+      expect(
+        pageTemplate.render({
+          content: "",
+          headings: [{ depth: 1, text: "Examples", id: "examples" }],
+          title: "Contents"
+        }),
+        "to start with",
+        "<title>Contents</title>"
+      );
+    });
+
+    it("should wrap any site navigation", () => {
+      const navTemplate = new PageTemplate("{{nav}}", "");
+
+      expect(
+        navTemplate.render({ content: "", nav: "<ul></ul>" }),
+        "to equal",
+        '<nav class="site">\n<ul></ul>\n</nav>'
+      );
+      expect(navTemplate.render({ content: "" }), "to equal", "");
+    });
+
+    it("should replace metadata placeholders", () => {
+      const metadataTemplate = new PageTemplate(
+        "{{metadata.author}}|{{metadata.missing}}|{{unknown}}",
+        ""
+      );
+
+      expect(
+        metadataTemplate.render({
+          content: "",
+          metadata: { author: "Someone" }
+        }),
+        "to equal",
+        "Someone||{{unknown}}"
+      );
+    });
+
+    it("should replace nested metadata placeholders", () => {
+      const metadataTemplate = new PageTemplate(
+        "{{metadata.author.name}}|{{metadata.draft}}|{{metadata.tags.x}}",
+        ""
+      );
+
+      expect(
+        metadataTemplate.render({
+          content: "",
+          metadata: { author: { name: "Someone" }, draft: false, tags: [] }
+        }),
+        "to equal",
+        "Someone|false|"
+      );
+    });
+  });
+
+  describe("load()", () => {
+    it("should load the default template and stylesheet", async () => {
+      const pageTemplate = await PageTemplate.load();
+
+      expect(pageTemplate, "to satisfy", {
+        template: expect.it("to start with", "<!DOCTYPE html>"),
+        stylesheet: expect.it("to contain", ".output {")
+      });
+    });
+  });
+});
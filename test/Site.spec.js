@@ -0,0 +1,91 @@
+const expect = require("unexpected")
+  .clone()
+  .use(require("unexpected-snapshot"));
+
+const Site = require("../lib/Site");
+
+describe("Site", () => {
+  const site = new Site(
+    [
+      { sourceFile: "zebra.md", title: "Zebra", order: null },
+      { sourceFile: "guide/usage.md", title: "Usage", order: null },
+      { sourceFile: "intro.md", title: "Introduction", order: 1 }
+    ],
+    { sourceExtension: ".md", targetExtension: ".html" }
+  );
+
+  describe("hasIndex()", () => {
+    it("should return false without an index source file", () => {
+      expect(site.hasIndex(), "to be false");
+    });
+
+    it("should return true with an index source file", () => {
+      const indexedSite = new Site(
+        [{ sourceFile: "index.md", title: "Home", order: null }],
+        { sourceExtension: ".md", targetExtension: ".html" }
+      );
+
+      expect(indexedSite.hasIndex(), "to be true");
+    });
+  });
+
+  describe("rewriteLinks()", () => {
+    it("should rewrite relative links to source files", () => {
+      const { html, brokenLinks } = site.rewriteLinks(
+        "guide/usage.md",
+        '<a href="../intro.md#start">intro</a> <a href="../zebra.md">z</a>'
+      );
+
+      expect(
+        html,
+        "to equal",
+        '<a href="../intro.html#start">intro</a> <a href="../zebra.html">z</a>'
+      );
+      expect(brokenLinks, "to equal", []);
+    });
+
+    it("should leave other links untouched", () => {
+      const input = [
+        '<a href="https://example.com/intro.md">remote</a>',
+        '<a href="/intro.md">absolute</a>',
+        '<a href="#usage">anchor</a>',
+        '<a href="image.png">image</a>'
+      ].join("\n");
+
+      const { html, brokenLinks } = site.rewriteLinks("intro.md", input);
+
+      expect(html, "to equal", input);
+      expect(brokenLinks, "to equal", []);
+    });
+
+    it("should report links to missing source files", () => {
+      const { html, brokenLinks } = site.rewriteLinks(
+        "intro.md",
+        '<a href="usage.md">usage</a>'
+      );
+
+      expect(html, "to equal", '<a href="usage.md">usage</a>');
+      expect(brokenLinks, "to equal", ["usage.md"]);
+    });
+  });
+
+  describe("navFor()", () => {
+    it("should list ordered pages before the rest and nest directories", () => {
+      expect(
+        site.navFor("guide/usage.md"),
+        "to equal snapshot",
+        expect.unindent`
+          <ul>
+          <li><a href="../intro.html">Introduction</a></li>
+          <li><a href="../zebra.html">Zebra</a></li>
+          <li>guide
+          <ul>
+          <li class="active"><a href="usage.html">Usage</a></li>
+          </ul>
+          </li>
+          </ul>
+        `
+      );
+    });
+  });
+});
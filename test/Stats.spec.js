@@ -137,5 +137,129 @@ describe("Stats", () => {
         `
       );
     });
+
+    it("should throw on an unsupported reporter", () => {
+      const stats = new Stats();
+
+      expect(
+        () => stats.toReport("foobar"),
+        "to throw",
+        'Stats: Unsupported reporter "foobar"'
+      );
+    });
+
+    describe("with the json reporter", () => {
+      it("should output per-file and per-snippet results", () => {
+        const stats = new Stats();
+        stats.addSuccess("something.md", [
+          {
+            index: 0,
+            line: 3,
+            lang: "javascript",
+            flags: { evaluate: true },
+            duration: 5,
+            error: null
+          }
+        ]);
+        stats.addError("other.md", new Error("fail"));
+
+        expect(JSON.parse(stats.toReport("json")), "to equal", {
+          total: 2,
+          succeeded: 1,
+          errored: 1,
+          files: [
+            {
+              file: "something.md",
+              error: null,
+              snippets: [
+                {
+                  index: 0,
+                  line: 3,
+                  lang: "javascript",
+                  flags: { evaluate: true },
+                  duration: 5,
+                  error: null
+                }
+              ]
+            },
+            {
+              file: "other.md",
+              error: { name: "Error", message: "fail" },
+              snippets: []
+            }
+          ]
+        });
+      });
+    });
+
+    describe("with the junit reporter", () => {
+      it("should output a testcase per snippet", () => {
+        const stats = new Stats();
+        stats.addError(
+          "something.md",
+          new errors.FileEvaluationError({
+            data: {
+              errors: {
+                1: { data: { original: new Error("fail") } }
+              },
+              results: [
+                {
+                  index: 0,
+                  line: 3,
+                  lang: "javascript",
+                  flags: { evaluate: true },
+                  duration: 5,
+                  error: null
+                },
+                {
+                  index: 1,
+                  line: 7,
+                  lang: "javascript",
+                  flags: { evaluate: true },
+                  duration: 1250,
+                  error: { name: "ReferenceError", message: "<foo> & bar" }
+                }
+              ]
+            }
+          })
+        );
+
+        expect(
+          stats.toReport("junit"),
+          "to equal snapshot",
+          expect.unindent`
+            <?xml version="1.0" encoding="UTF-8"?>
+            <testsuites name="evaldown" tests="2" failures="1">
+              <testsuite name="something.md" tests="2" failures="1" time="1.255">
+                <testcase name="snippet 0 (line 3)" classname="something.md" time="0.005"/>
+                <testcase name="snippet 1 (line 7)" classname="something.md" time="1.250">
+                  <failure type="ReferenceError" message="&lt;foo&gt; &amp; bar"/>
+                </testcase>
+              </testsuite>
+            </testsuites>
+          `
+        );
+      });
+
+      it("should output a testcase for an error outside snippets", () => {
+        const stats = new Stats();
+        stats.addError("other.md", new errors.SourceFileError("missing"));
+
+        expect(
+          stats.toReport("junit"),
+          "to equal snapshot",
+          expect.unindent`
+            <?xml version="1.0" encoding="UTF-8"?>
+            <testsuites name="evaldown" tests="1" failures="1">
+              <testsuite name="other.md" tests="1" failures="1" time="0.000">
+                <testcase name="process file" classname="other.md" time="0.000">
+                  <failure type="SourceFileError" message="missing"/>
+                </testcase>
+              </testsuite>
+            </testsuites>
+          `
+        );
+      });
+    });
   });
 });
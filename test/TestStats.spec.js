@@ -0,0 +1,128 @@
+const expect = require("unexpected")
+  .clone()
+  .use(require("unexpected-snapshot"));
+
+const errors = require("../lib/errors");
+const TestStats = require("../lib/TestStats");
+
+function createTestStats() {
+  const testStats = new TestStats();
+  testStats.addTests("something.md", [
+    { code: 'return "foo";', error: null },
+    {
+      code: 'return "bar";',
+      error: new errors.SnippetCheckError({
+        message: "output block is stale",
+        data: { diff: "-'baz'\n+'bar'" }
+      })
+    }
+  ]);
+  testStats.addError("other.md", new Error("boom"));
+  return testStats;
+}
+
+describe("TestStats", () => {
+  describe("toJSON()", () => {
+    it("should return an object including a total", () => {
+      expect(createTestStats().toJSON(), "to equal", {
+        total: 3,
+        passed: 1,
+        failed: 2
+      });
+    });
+  });
+
+  describe("toReport()", () => {
+    it("should throw on an invalid reporter", () => {
+      expect(
+        () => {
+          new TestStats().toReport("foobar");
+        },
+        "to throw",
+        'TestStats: Unsupported reporter "foobar"'
+      );
+    });
+
+    it('should default to "spec"', () => {
+      const testStats = createTestStats();
+
+      expect(testStats.toReport(), "to equal", testStats.toReport("spec"));
+    });
+
+    it('should output "spec"', () => {
+      expect(
+        createTestStats().toReport("spec"),
+        "to equal snapshot",
+        [
+          "",
+          "  something.md",
+          '    ✓ return "foo";',
+          '    1) return "bar";',
+          "",
+          "  other.md",
+          "    2) evaluate file",
+          "",
+          "",
+          "  1 passing",
+          "  2 failing",
+          "",
+          "  1) something.md",
+          '       return "bar";:',
+          "     output block is stale",
+          "     -'baz'",
+          "     +'bar'",
+          "",
+          "  2) other.md",
+          "       evaluate file:",
+          "     Error: boom",
+          ""
+        ].join("\n")
+      );
+    });
+
+    it('should output "tap"', () => {
+      expect(
+        createTestStats().toReport("tap"),
+        "to equal snapshot",
+        expect.unindent`
+          TAP version 13
+          ok 1 something.md return "foo";
+          not ok 2 something.md return "bar";
+            ---
+            message: |-
+              output block is stale
+              -'baz'
+              +'bar'
+            ...
+          not ok 3 other.md evaluate file
+            ---
+            message: |-
+              Error: boom
+            ...
+          1..3
+          # tests 3
+          # pass 1
+          # fail 2
+        `
+      );
+    });
+
+    it("should title a test by its first line of code", () => {
+      const testStats = new TestStats();
+      testStats.addTests("something.md", [
+        {
+          code:
+            "\n  // a rather long comment that goes on and on and on and on and on"
+        },
+        { code: "" }
+      ]);
+
+      expect(testStats.fileEntries[0].tests, "to satisfy", [
+        {
+          title: "// a rather long comment that goes on and on and on and o..."
+        },
+        { title: "snippet 2" }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const expect = require("unexpected");
+const path = require("path");
+
+const errors = require("../lib/errors");
+const WorkerPool = require("../lib/WorkerPool");
+
+const TESTDATA_PATH = path.join(__dirname, "..", "testdata");
+
+describe("WorkerPool", () => {
+  describe("prepareFiles()", () => {
+    it("should return results in the order the files were supplied", async () => {
+      const pool = new WorkerPool(2, {
+        outputFormat: "markdown",
+        sourcePath: path.join(TESTDATA_PATH, "nested")
+      });
+
+      const results = await pool.prepareFiles(["index.md", "child/inner.md"]);
+
+      expect(results, "to satisfy", [
+        {
+          sourceFile: "index.md",
+          prepared: { targetOutput: expect.it("to be a string") }
+        },
+        {
+          sourceFile: "child/inner.md",
+          prepared: { targetOutput: expect.it("to be a string") }
+        }
+      ]);
+    });
+
+    it("should return an error for a file that could not be prepared", async () => {
+      const pool = new WorkerPool(1, {
+        sourcePath: path.join(TESTDATA_PATH, "nested")
+      });
+
+      const results = await pool.prepareFiles(["nonexistent.md"]);
+
+      expect(results, "to satisfy", [
+        {
+          sourceFile: "nonexistent.md",
+          error: expect.it("to be an", errors.SourceFileError)
+        }
+      ]);
+    });
+  });
+});
@@ -132,6 +132,23 @@ describe("cli", () => {
       );
     });
 
+    it("should allow a custom format from the config", async () => {
+      const pwd = path.join(TESTDATA_PATH, "config");
+      const opts = usingOpts(pwd, "evaldown.custom-format.js");
+
+      await cli.files(pwd, { _cons: cons, ...opts });
+
+      const expectedOutputFile = path.join(
+        TESTDATA_OUTPUT_PATH,
+        "something.json"
+      );
+      expect(
+        await fsExtra.readFile(expectedOutputFile, "utf8"),
+        "to equal",
+        JSON.stringify({ content: "# Something\n" })
+      );
+    });
+
     it("should write stats to stderr with error", async () => {
       const pwd = TESTDATA_PATH;
       const opts = usingOpts(pwd, "config/evaldown.valid-errors.js");
@@ -142,14 +159,198 @@ describe("cli", () => {
         cons.error.getCall(0).args[0],
         "to equal snapshot",
         expect.unindent`
-        processed 1 file with errors...
-
-        "example.md" FileEvaluationError:
-          - [0] ReferenceError: expect is not defined
-      `
+          processed 1 file with errors...
+
+          "example.md" FileEvaluationError:
+            - [line 4] ReferenceError: expect is not defined
+                2 |
+                3 | \`\`\`javascript
+              > 4 | expect("f00", "to equal", "foo");
+                  | ^
+                5 | \`\`\`
+                6 |
+        `
       );
     });
 
+    describe("with watch", () => {
+      it("should return a watcher after the initial processing", async () => {
+        const pwd = path.join(TESTDATA_PATH, "config");
+        const opts = usingOpts(pwd, "evaldown.valid-basic.js");
+
+        const watcher = await cli.files(pwd, {
+          _cons: cons,
+          watch: true,
+          ...opts
+        });
+
+        try {
+          expect(watcher, "to satisfy", {
+            close: expect.it("to be a function")
+          });
+          expect(
+            cons.error.getCall(0).args[0],
+            "to equal snapshot",
+            "processed 1 file without errors"
+          );
+        } finally {
+          await watcher.close();
+        }
+      });
+    });
+
+    describe("with check", () => {
+      it("should reject when output blocks are stale", async () => {
+        const pwd = TESTDATA_PATH;
+
+        await expect(
+          () =>
+            cli.files(pwd, {
+              _cons: cons,
+              check: true,
+              sourcePath: "check-stale"
+            }),
+          "to be rejected with",
+          "check failed for 1 file"
+        );
+
+        expect(
+          cons.error.getCall(0).args[0],
+          "to equal snapshot",
+          expect.unindent`
+            processed 1 file with errors...
+
+            "example.md" FileCheckError:
+              - [line 8] output block is stale
+                -'foo'
+                +'foobar'
+          `
+        );
+      });
+
+      it("should not require a target path", async () => {
+        const pwd = TESTDATA_PATH;
+
+        await expect(
+          cli.files(pwd, {
+            _cons: cons,
+            check: true,
+            sourcePath: "check-fresh"
+          }),
+          "to be fulfilled with",
+          { total: 1, succeeded: 1, errored: 0 }
+        );
+      });
+    });
+
+    describe("with reporter", () => {
+      it("should write a text report to stderr", async () => {
+        const pwd = TESTDATA_PATH;
+
+        await cli.files(pwd, {
+          _cons: cons,
+          check: true,
+          reporter: "text",
+          sourcePath: "check-fresh"
+        });
+
+        expect(cons.log, "was not called");
+        expect(cons.error, "to have a call satisfying", [
+          "processed 1 file without errors"
+        ]);
+      });
+
+      it("should write a json report to stdout", async () => {
+        const pwd = TESTDATA_PATH;
+
+        await cli.files(pwd, {
+          _cons: cons,
+          check: true,
+          reporter: "json",
+          sourcePath: "check-fresh"
+        });
+
+        expect(cons.error, "was not called");
+        expect(JSON.parse(cons.log.getCall(0).args[0]), "to satisfy", {
+          total: 1,
+          files: [
+            {
+              file: "example.md",
+              error: null,
+              snippets: [{ index: 0, lang: "javascript", error: null }]
+            }
+          ]
+        });
+      });
+
+      it("should write a junit report to stdout", async () => {
+        const pwd = TESTDATA_PATH;
+
+        await expect(
+          () =>
+            cli.files(pwd, {
+              _cons: cons,
+              check: true,
+              reporter: "junit",
+              sourcePath: "check-stale"
+            }),
+          "to be rejected with",
+          "check failed for 1 file"
+        );
+
+        expect(cons.log, "to have a call satisfying", [
+          expect.it("to contain", '<failure type="FileCheckError"')
+        ]);
+      });
+
+      it("should include the snippet errors in the json report", async () => {
+        const pwd = TESTDATA_PATH;
+
+        await cli.files(pwd, {
+          _cons: cons,
+          reporter: "json",
+          sourcePath: "some-errors",
+          targetPath: TESTDATA_OUTPUT_PATH
+        });
+
+        expect(JSON.parse(cons.log.getCall(0).args[0]), "to satisfy", {
+          files: [
+            {
+              error: {
+                name: "FileEvaluationError",
+                message: expect.it(
+                  "to contain",
+                  "[line 4] ReferenceError: expect is not defined"
+                )
+              }
+            }
+          ]
+        });
+      });
+
+      for (const reporter of ["spec", "tap"]) {
+        it(`should reject the "${reporter}" reporter before processing`, async () => {
+          const pwd = TESTDATA_PATH;
+          const targetPath = path.join(TESTDATA_OUTPUT_PATH, "reporter");
+
+          await expect(
+            () =>
+              cli.files(pwd, {
+                _cons: cons,
+                reporter,
+                sourcePath: "check-fresh",
+                targetPath
+              }),
+            "to be rejected with",
+            `Unsupported reporter "${reporter}" when processing files (choose from "text", "json", "junit")`
+          );
+
+          expect(cons.log, "was not called");
+          expect(await fsExtra.pathExists(targetPath), "to be false");
+        });
+      }
+    });
+
     describe("with require", () => {
       it("should output markdown", async () => {
         const pwd = path.join(TESTDATA_PATH, "file-globals");
@@ -364,6 +565,79 @@ describe("cli", () => {
       }
     });
 
+    it('should reject with stale output blocks when "check"', async () => {
+      const pwd = path.join(TESTDATA_PATH, "check-stale");
+
+      await expect(
+        () =>
+          cli.file(pwd, {
+            _cons: cons,
+            check: true,
+            _: ["example.md"]
+          }),
+        "to be rejected with",
+        expect.it("to be an", errors.FileCheckError)
+      );
+      expect(cons.log, "was not called");
+    });
+
+    it('should not output anything when "check" passes', async () => {
+      const pwd = path.join(TESTDATA_PATH, "check-fresh");
+
+      await cli.file(pwd, {
+        _cons: cons,
+        check: true,
+        _: ["example.md"]
+      });
+
+      expect(cons.log, "was not called");
+    });
+
+    it('should reject when "watch" is requested', async () => {
+      const pwd = path.join(TESTDATA_PATH, "extensions");
+
+      await expect(
+        () =>
+          cli.file(pwd, {
+            _cons: cons,
+            watch: true,
+            _: ["expect.markdown"]
+          }),
+        "to be rejected with",
+        'the "watch" option requires a directory'
+      );
+    });
+
+    it('should reject when "site" is requested', async () => {
+      const pwd = path.join(TESTDATA_PATH, "extensions");
+
+      await expect(
+        () =>
+          cli.file(pwd, {
+            _cons: cons,
+            site: true,
+            _: ["expect.markdown"]
+          }),
+        "to be rejected with",
+        'the "site" option requires a directory'
+      );
+    });
+
+    it('should reject when "reporter" is requested', async () => {
+      const pwd = path.join(TESTDATA_PATH, "extensions");
+
+      await expect(
+        () =>
+          cli.file(pwd, {
+            _cons: cons,
+            reporter: "junit",
+            _: ["expect.markdown"]
+          }),
+        "to be rejected with",
+        'the "reporter" option requires a directory'
+      );
+    });
+
     it("should pass through a rejection to ensure it is logged later", async () => {
       const pwd = path.join(TESTDATA_PATH, "some-errors");
 
@@ -476,6 +750,109 @@ describe("cli", () => {
     });
   });
 
+  describe("test()", () => {
+    it("should output the test report to stdout", async () => {
+      const pwd = TESTDATA_PATH;
+
+      await cli.test(pwd, {
+        _cons: cons,
+        _: ["check-fresh"]
+      });
+
+      expect(cons.log, "to have a call satisfying", [
+        expect.it("to contain", '✓ return "foo" + "bar";')
+      ]);
+    });
+
+    it("should allow testing a single file", async () => {
+      const pwd = path.join(TESTDATA_PATH, "check-fresh");
+
+      await expect(
+        cli.test(pwd, {
+          _cons: cons,
+          _: ["example.md"]
+        }),
+        "to be fulfilled with",
+        { total: 1, passed: 1, failed: 0 }
+      );
+    });
+
+    it("should allow the spec reporter to be selected", async () => {
+      const pwd = TESTDATA_PATH;
+
+      await cli.test(pwd, {
+        _cons: cons,
+        reporter: "spec",
+        _: ["check-fresh"]
+      });
+
+      expect(cons.log, "to have a call satisfying", [
+        expect.it("to contain", "1 passing")
+      ]);
+    });
+
+    it("should allow the reporter to be selected", async () => {
+      const pwd = TESTDATA_PATH;
+
+      await cli.test(pwd, {
+        _cons: cons,
+        reporter: "tap",
+        _: ["check-fresh"]
+      });
+
+      expect(cons.log, "to have a call satisfying", [
+        expect.it("to start with", "TAP version 13")
+      ]);
+    });
+
+    for (const reporter of ["json", "junit", "text"]) {
+      it(`should reject the "${reporter}" reporter before testing`, async () => {
+        const pwd = TESTDATA_PATH;
+
+        await expect(
+          () =>
+            cli.test(pwd, {
+              _cons: cons,
+              reporter,
+              _: ["check-fresh"]
+            }),
+          "to be rejected with",
+          `Unsupported reporter "${reporter}" when testing (choose from "spec", "tap")`
+        );
+
+        expect(cons.log, "was not called");
+      });
+    }
+
+    it("should reject when any snippet tests fail", async () => {
+      const pwd = TESTDATA_PATH;
+
+      await expect(
+        () =>
+          cli.test(pwd, {
+            _cons: cons,
+            _: ["check-stale"]
+          }),
+        "to be rejected with",
+        "1 snippet test failed"
+      );
+    });
+
+    it("should read the source path from the options", async () => {
+      const pwd = TESTDATA_PATH;
+
+      await expect(
+        cli.test(pwd, {
+          _cons: cons,
+          _: [],
+          sourcePath: "check-fresh"
+        }),
+        "to be fulfilled with",
+        { total: 1, passed: 1, failed: 0 }
+      );
+    });
+  });
+
   describe("byPath()", () => {
     it("should choose the files function for a directory", async () => {
       const pwd = TESTDATA_PATH;
@@ -54,5 +54,116 @@ describe("errors", () => {
       `
       );
     });
+
+    it("should serialise a FileEvaluationError with locations", () => {
+      const e = new errors.FileEvaluationError({
+        data: {
+          errors: {
+            1: new errors.SnippetEvaluationError({
+              data: {
+                original: new Error("foo"),
+                line: 4,
+                codeFrame: "> 4 | foo();\n    | ^"
+              }
+            })
+          }
+        }
+      });
+
+      expect(
+        errors.errorToOutput(e),
+        "to equal snapshot",
+        expect.unindent`
+          FileEvaluationError
+          snippets with errors:
+            - [line 4] Error: foo
+              > 4 | foo();
+                  | ^
+        `
+      );
+    });
+
+    it("should serialise a FileCheckError", () => {
+      const e = new errors.FileCheckError({
+        data: {
+          errors: {
+            3: new errors.SnippetCheckError({
+              message: "output block is stale",
+              data: { diff: "-'foo'\n+'bar'" }
+            })
+          }
+        }
+      });
+
+      expect(
+        errors.errorToOutput(e),
+        "to equal snapshot",
+        expect.unindent`
+        FileCheckError
+        snippets with stale output:
+          - [3] output block is stale
+            -'foo'
+            +'bar'
+      `
+      );
+    });
+
+    it("should serialise a FileLinkError", () => {
+      const e = new errors.FileLinkError({
+        data: { links: ["nowhere.md", "../other.md#section"] }
+      });
+
+      expect(
+        errors.errorToOutput(e),
+        "to equal snapshot",
+        expect.unindent`
+        FileLinkError
+        broken links:
+          - "nowhere.md"
+          - "../other.md#section"
+      `
+      );
+    });
+  });
+
+  describe("errorFromJSON()", () => {
+    it("should round trip a nested error", () => {
+      const e = new errors.FileEvaluationError({
+        data: {
+          errors: {
+            1: new errors.SnippetEvaluationError({
+              message: "foo is not defined",
+              data: { original: new ReferenceError("foo is not defined") }
+            })
+          }
+        }
+      });
+
+      const json = JSON.parse(JSON.stringify(errors.errorToJSON(e)));
+      const error = errors.errorFromJSON(json);
+
+      expect(error, "to be an", errors.FileEvaluationError).and("to satisfy", {
+        data: {
+          errors: {
+            1: expect
+              .it("to be an", errors.SnippetEvaluationError)
+              .and("to have message", "foo is not defined")
+          }
+        }
+      });
+      expect(
+        String(error.data.errors[1].data.original),
+        "to equal",
+        "ReferenceError: foo is not defined"
+      );
+    });
+
+    it("should preserve the stack", () => {
+      const e = new Error("foobar");
+
+      const error = errors.errorFromJSON(errors.errorToJSON(e));
+
+      expect(error.stack, "to equal", e.stack);
+    });
   });
 });
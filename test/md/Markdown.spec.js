@@ -4,6 +4,7 @@ var expect = require("unexpected")
   .use(require("unexpected-snapshot"));
 var sinon = require("sinon");
 
+var errors = require("../../lib/errors");
 var Markdown = require("../../lib/md/Markdown");
 var Snippets = require("../../lib/md/Snippets");
 
@@ -89,6 +90,361 @@ repository: https://github.com/unexpectedjs/unexpected
         }
       });
     });
+
+    it("should parse typed values", () => {
+      const markdown = new Markdown(
+        [
+          "---",
+          'title: "Quoted: title"',
+          "draft: false",
+          "order: 2",
+          "tags:",
+          "  - one",
+          "  - two",
+          "author:",
+          "  name: Someone",
+          "---",
+          ""
+        ].join("\n"),
+        { marker: "abc" }
+      );
+
+      expect(markdown.metadata, "to equal", {
+        title: "Quoted: title",
+        draft: false,
+        order: 2,
+        tags: ["one", "two"],
+        author: { name: "Someone" }
+      });
+    });
+
+    it("should only treat a block at the start as metadata", () => {
+      const markdown = new Markdown("# Title\n\n---\nfoo: bar\n---\n", {
+        marker: "abc"
+      });
+
+      expect(markdown.metadata, "to equal", {});
+    });
+
+    it("should throw on malformed metadata", () => {
+      expect(
+        () => {
+          new Markdown("---\ntitle: foo\ntags: [one\n---\n", {
+            marker: "abc"
+          });
+        },
+        "to throw",
+        expect.it("to be an", errors.FileMetadataError).and("to satisfy", {
+          message: expect.it("to begin with", "malformed front matter"),
+          data: { line: expect.it("to be a number") }
+        })
+      );
+    });
+
+    it("should throw on metadata which is not key value pairs", () => {
+      expect(
+        () => {
+          new Markdown("---\n- one\n---\n", { marker: "abc" });
+        },
+        "to throw",
+        "malformed front matter: expected key value pairs"
+      );
+    });
+
+    it("should exclude the metadata from html", () => {
+      const markdown = new Markdown(markdownWithMetadata, { marker: "abc" });
+
+      expect(
+        markdown.toHtml(),
+        "to equal",
+        '<h1 id="here-is-my-title">Here is my title</h1>\n'
+      );
+    });
+  });
+
+  describe("checkExamples", () => {
+    it("should throw if called before evaluation", () => {
+      const markdown = new Markdown("", { marker: "evaldown" });
+
+      expect(
+        () => markdown.checkExamples(),
+        "to throw",
+        "snippets were not evaluated"
+      );
+    });
+
+    it("should return null when output blocks are up-to-date", async () => {
+      const maker = new Markdown(
+        [
+          "```javascript",
+          "return 'foo';",
+          "```",
+          "",
+          "```output",
+          "'foo'",
+          "```"
+        ].join("\n"),
+        { marker: "evaldown" }
+      );
+      await maker.evaluate({ pwdPath: __dirname, capture: "return" });
+
+      expect(maker.checkExamples(), "to be null");
+    });
+
+    it("should record a check error for a stale output block", async () => {
+      const maker = new Markdown(
+        [
+          "```javascript",
+          "return 'foo';",
+          "```",
+          "",
+          "```output",
+          "'bar'",
+          "```"
+        ].join("\n"),
+        { marker: "evaldown" }
+      );
+      await maker.evaluate({ pwdPath: __dirname, capture: "return" });
+
+      expect(maker.checkExamples(), "to satisfy", {
+        1: expect
+          .it("to be an", errors.SnippetCheckError)
+          .and("to have message", "output block is stale")
+          .and("to satisfy", {
+            data: {
+              actual: "'bar'",
+              expected: "'foo'",
+              diff: "-'bar'\n+'foo'"
+            }
+          })
+      });
+    });
+
+    it("should skip output blocks following ignored snippets", async () => {
+      const maker = new Markdown(
+        [
+          "<!-- evaldown ignore:true -->",
+          "```javascript",
+          "return 'foo';",
+          "```",
+          "",
+          "```output",
+          "'bar'",
+          "```"
+        ].join("\n"),
+        { marker: "evaldown" }
+      );
+      await maker.evaluate({ pwdPath: __dirname, capture: "return" });
+
+      expect(maker.checkExamples(), "to be null");
+    });
+  });
+
+  describe("getTests", () => {
+    it("should throw if called before evaluation", () => {
+      const markdown = new Markdown("", { marker: "evaldown" });
+
+      expect(
+        () => markdown.getTests(),
+        "to throw",
+        "snippets were not evaluated"
+      );
+    });
+
+    it("should record a check error for a stale output block", async () => {
+      const maker = new Markdown(
+        [
+          "```javascript",
+          "return 'foo';",
+          "```",
+          "",
+          "```output",
+          "'foo'",
+          "```",
+          "",
+          "```javascript",
+          "return 'bar';",
+          "```",
+          "",
+          "```output",
+          "'baz'",
+          "```"
+        ].join("\n"),
+        { marker: "evaldown" }
+      );
+      await maker.evaluate({ pwdPath: __dirname, capture: "return" });
+
+      expect(maker.getTests(), "to satisfy", [
+        { code: "return 'foo';", error: null },
+        {
+          code: "return 'bar';",
+          error: expect
+            .it("to be an", errors.SnippetCheckError)
+            .and("to satisfy", { data: { diff: "-'baz'\n+'bar'" } })
+        }
+      ]);
+    });
+  });
+
+  describe("evaluate", () => {
+    it("should record the location of snippet errors", async () => {
+      const maker = new Markdown(
+        [
+          "Some text.",
+          "",
+          "```javascript",
+          "const foo = 1;",
+          "const bar = baz;",
+          "```"
+        ].join("\n"),
+        { marker: "evaldown" }
+      );
+
+      await expect(
+        () => maker.evaluate({ pwdPath: __dirname, capture: "return" }),
+        "to be rejected with",
+        expect.it("to satisfy", {
+          data: {
+            errors: {
+              0: {
+                data: {
+                  line: 5,
+                  column: 13,
+                  codeFrame: expect.it("to contain", "> 5 | const bar = baz;")
+                }
+              }
+            }
+          }
+        })
+      );
+    });
+
+    it("should record the location of errors in flags", async () => {
+      const maker = new Markdown(
+        [
+          "Some text.",
+          "",
+          "<!-- evaldown hdie -->",
+          "```javascript",
+          "return 1;",
+          "```"
+        ].join("\n"),
+        { marker: "evaldown" }
+      );
+
+      await expect(
+        () => maker.evaluate({ pwdPath: __dirname, capture: "return" }),
+        "to be rejected with",
+        expect.it("to satisfy", {
+          data: {
+            errors: {
+              0: expect
+                .it("to be an", errors.SnippetProcessingError)
+                .and("to satisfy", {
+                  message: 'unknown flag "hdie"',
+                  data: {
+                    line: 3,
+                    column: 15,
+                    codeFrame: expect.it(
+                      "to contain",
+                      "> 3 | <!-- evaldown hdie -->"
+                    )
+                  }
+                })
+            }
+          }
+        })
+      );
+    });
+  });
+
+  describe("getHeadings", () => {
+    it("should return the headings excluding any metadata", () => {
+      const markdown = new Markdown(
+        "---\ntitle: Foo\n---\n# Hello\n\n## Some `code` here\n",
+        { marker: "evaldown" }
+      );
+
+      expect(markdown.getHeadings(), "to equal", [
+        { depth: 1, text: "Hello", id: "hello" },
+        { depth: 2, text: "Some `code` here", id: "some-code-here" }
+      ]);
+    });
+  });
+
+  describe("getTitle", () => {
+    it("should prefer the title in the metadata", () => {
+      const markdown = new Markdown("---\ntitle: Foo\n---\n# Hello\n", {
+        marker: "evaldown"
+      });
+
+      expect(markdown.getTitle(), "to equal", "Foo");
+    });
+
+    it("should fall back to the first top-level heading", () => {
+      const markdown = new Markdown("## Intro\n\n# Hello\n", {
+        marker: "evaldown"
+      });
+
+      expect(markdown.getTitle(), "to equal", "Hello");
+    });
+  });
+
+  describe("getResults", () => {
+    it("should throw if called before evaluation", () => {
+      const markdown = new Markdown("", { marker: "evaldown" });
+
+      expect(
+        () => markdown.getResults(),
+        "to throw",
+        "snippets were not evaluated"
+      );
+    });
+
+    it("should record a result for each evaluated snippet", async () => {
+      const maker = new Markdown(
+        [
+          "```javascript",
+          "return 'foo';",
+          "```",
+          "",
+          "```output",
+          "'foo'",
+          "```",
+          "",
+          "<!-- evaldown evaluate:false -->",
+          "```javascript",
+          "return 'bar';",
+          "```",
+          "",
+          "```javascript",
+          "return notDefined;",
+          "```"
+        ].join("\n"),
+        { marker: "evaldown" }
+      );
+      await expect(
+        () => maker.evaluate({ pwdPath: __dirname, capture: "return" }),
+        "to be rejected"
+      );
+
+      expect(maker.getResults(), "to satisfy", [
+        {
+          index: 0,
+          line: 2,
+          lang: "javascript",
+          flags: { evaluate: true },
+          duration: expect.it("to be a number"),
+          error: null
+        },
+        {
+          index: 3,
+          line: 15,
+          lang: "javascript",
+          error: { name: "SnippetEvaluationError" }
+        }
+      ]);
+    });
   });
 
   describe("getSnippets", () => {
@@ -0,0 +1,55 @@
+const expect = require("unexpected");
+const path = require("path");
+
+const ModuleLoader = require("../../lib/md/ModuleLoader");
+
+const TESTDATA_PATH = path.join(__dirname, "..", "..", "testdata");
+
+describe("ModuleLoader", () => {
+  const pwdPath = path.join(TESTDATA_PATH, "local-module");
+
+  it("should load local modules", () => {
+    const requireModule = new ModuleLoader().createRequire(pwdPath);
+
+    expect(requireModule("./foobar"), "to equal", { foo: "bar" });
+  });
+
+  it("should return the same module from its own cache", () => {
+    const requireModule = new ModuleLoader().createRequire(pwdPath);
+
+    expect(requireModule("./foobar"), "to be", requireModule("./foobar"));
+  });
+
+  it("should not share modules between loaders", () => {
+    const firstRequire = new ModuleLoader().createRequire(pwdPath);
+    const secondRequire = new ModuleLoader().createRequire(pwdPath);
+
+    firstRequire("./foobar").foo = "patched";
+
+    expect(secondRequire("./foobar"), "to equal", { foo: "bar" });
+  });
+
+  it("should not share changes to builtin modules between loaders", () => {
+    const firstRequire = new ModuleLoader().createRequire(pwdPath);
+    const secondRequire = new ModuleLoader().createRequire(pwdPath);
+
+    firstRequire("os").__patched = true;
+
+    expect(firstRequire("os").__patched, "to be true");
+    expect(secondRequire("os").__patched, "to be undefined");
+    expect(require("os").__patched, "to be undefined");
+  });
+
+  it("should allow using builtin modules as usual", () => {
+    const requireModule = new ModuleLoader().createRequire(pwdPath);
+    const EventEmitter = requireModule("events");
+    const emitter = new (class extends EventEmitter {})();
+
+    expect(
+      requireModule("node:path").join("a", "b"),
+      "to equal",
+      path.join("a", "b")
+    );
+    expect(emitter, "to be an", EventEmitter);
+  });
+});
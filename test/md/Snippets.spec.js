@@ -57,6 +57,112 @@ describe("Snippets", () => {
           })
       });
     });
+
+    it("should allow an output block to refer to a named snippet", () => {
+      const snippets = new Snippets([
+        { code: "return 1;", lang: "javascript", flags: { name: "one" } },
+        { code: "", lang: "markdown", flags: {} },
+        { code: "1", lang: "output", flags: { from: "one" } }
+      ]);
+
+      expect(snippets.check(), "to be null");
+      expect(snippets.sourceFor(2), "to be", snippets.get(0));
+    });
+
+    it("should record an error for an unknown name", () => {
+      const snippets = new Snippets([
+        { code: "return 1;", lang: "javascript", flags: { use: "setup" } },
+        { code: "1", lang: "output", flags: { from: "setup" } }
+      ]);
+
+      expect(snippets.check(), "to satisfy", {
+        0: expect.it("to have message", 'no snippet named "setup" to use'),
+        1: expect.it("to have message", 'no snippet named "setup" to output')
+      });
+    });
+
+    it("should record an error for a duplicate name", () => {
+      const snippets = new Snippets([
+        { code: "return 1;", lang: "javascript", flags: { name: "one" } },
+        { code: "return 2;", lang: "javascript", flags: { name: "one" } }
+      ]);
+
+      expect(snippets.check(), "to satisfy", {
+        1: expect
+          .it("to be an", errors.SnippetProcessingError)
+          .and("to have message", 'duplicate snippet name "one"')
+      });
+    });
+
+    it("should record an error when expecting a type error from javascript", () => {
+      const snippets = new Snippets([
+        {
+          code: "const a = 1;",
+          lang: "javascript",
+          flags: { evaluate: true, expectTypeError: true }
+        }
+      ]);
+
+      expect(snippets.check(), "to satisfy", {
+        0: expect.it(
+          "to have message",
+          "cannot expect a type error from a snippet which is not TypeScript"
+        )
+      });
+    });
+
+    it("should record an error when capturing the types of javascript", () => {
+      const snippets = new Snippets([
+        {
+          code: "1;",
+          lang: "javascript",
+          flags: { evaluate: true, types: true }
+        }
+      ]);
+
+      expect(snippets.check(), "to satisfy", {
+        0: expect.it(
+          "to have message",
+          "cannot capture the types of a snippet which is not TypeScript"
+        )
+      });
+    });
+
+    it("should record an error for output following setup", () => {
+      const snippets = new Snippets([
+        {
+          code: "global.x = 1;",
+          lang: "javascript",
+          flags: { evaluate: true, setup: true }
+        },
+        { code: "", lang: "output", flags: {} }
+      ]);
+
+      expect(snippets.check(), "to satisfy", {
+        1: expect.it(
+          "to have message",
+          "cannot match setup or teardown code block to output snippet"
+        )
+      });
+    });
+
+    it("should record an error in the flags of a snippet", () => {
+      const snippets = new Snippets([
+        {
+          code: "return 1;",
+          lang: "javascript",
+          flags: { evaluate: true },
+          flagErrors: [{ message: 'unknown flag "hdie"', line: 3, column: 5 }]
+        }
+      ]);
+
+      expect(snippets.check(), "to satisfy", {
+        0: expect
+          .it("to be an", errors.SnippetProcessingError)
+          .and("to have message", 'unknown flag "hdie"')
+          .and("to satisfy", { data: { line: 3, column: 5 } })
+      });
+    });
   });
 
   describe("#evaluate()", () => {
@@ -205,20 +311,79 @@ describe("Snippets", () => {
         });
       });
 
+      describe("with transpilers", () => {
+        it("should transpile each language with its own transpiler", async () => {
+          const snippets = new Snippets([
+            {
+              lang: "javascript",
+              flags: { evaluate: true, return: true },
+              code: "return 'js';"
+            },
+            {
+              lang: "shout",
+              evaluable: true,
+              flags: { evaluate: true, return: true },
+              code: "return 'shout';"
+            }
+          ]);
+
+          await snippets.evaluate({
+            markdown: createFakeMarkdown(),
+            pwdPath: __dirname,
+            transpileFn: code => buble.transform(code).code,
+            transpilers: {
+              shout: code =>
+                code.replace(/'(\w+)'/g, (m, word) => `'${word.toUpperCase()}'`)
+            }
+          });
+
+          expect(snippets.items, "to satisfy", [
+            { output: { text: "'js'" } },
+            { output: { text: "'SHOUT'" } }
+          ]);
+        });
+
+        it("should leave languages without a transpiler alone", async () => {
+          const snippets = new Snippets([
+            {
+              lang: "javascript",
+              flags: { evaluate: true, return: true },
+              code: "return 'js';"
+            }
+          ]);
+
+          await snippets.evaluate({
+            markdown: createFakeMarkdown(),
+            pwdPath: __dirname,
+            transpilers: { shout: () => "" }
+          });
+
+          expect(snippets.items[0], "not to have property", "transpiled");
+        });
+      });
+
       describe("with typescript", () => {
-        it("should reject if a conflicting transpileFn was supplied", async function() {
+        it("should use a transpiler registered for typescript", async function() {
           const snippets = new Snippets([
             {
               lang: "typescript",
-              flags: { evaluate: true }
+              flags: { evaluate: true, return: true },
+              code: "return 'foo' as string;"
             }
           ]);
 
-          await expect(
-            () => snippets.evaluate({ transpileFn: () => {} }),
-            "to be rejected with",
-            "transpileFn cannot be specified with TypeScript snippets"
-          );
+          await snippets.evaluate({
+            markdown: createFakeMarkdown(),
+            pwdPath: __dirname,
+            transpilers: {
+              typescript: code => code.replace(" as string", "")
+            }
+          });
+
+          expect(snippets.items[0], "to satisfy", {
+            transpiled: "(function () {return 'foo';})();",
+            output: { text: "'foo'" }
+          });
         });
 
         it("should reject if no tsconfig file is specified", async function() {
@@ -256,6 +421,50 @@ describe("Snippets", () => {
       ]);
     });
 
+    it("should include the evaluated output and any evaluation error", async () => {
+      const snippets = new Snippets([
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: "return 'foo';"
+        },
+        {
+          lang: "output",
+          flags: { evaluate: true },
+          code: "'foo'"
+        },
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: "return nonExistent;"
+        }
+      ]);
+
+      await expect(
+        () =>
+          snippets.evaluate({
+            markdown: createFakeMarkdown(),
+            pwdPath: __dirname,
+            capture: "return"
+          }),
+        "to be rejected"
+      );
+
+      expect(snippets.getTests(), "to satisfy", [
+        {
+          output: "'foo'",
+          outputFlags: { evaluate: true },
+          evaluated: { kind: "result", text: "'foo'" },
+          error: null
+        },
+        {
+          output: null,
+          outputFlags: null,
+          error: expect.it("to be an", errors.SnippetEvaluationError)
+        }
+      ]);
+    });
+
     it("should throw if an output block was not preceded by a source block", () => {
       const snippets = new Snippets([
         {
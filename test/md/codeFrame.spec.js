@@ -0,0 +1,44 @@
+const expect = require("unexpected")
+  .clone()
+  .use(require("unexpected-snapshot"));
+const codeFrame = require("../../lib/md/codeFrame");
+
+describe("codeFrame", function() {
+  const content = ["one", "two", "three", "four", "five", "six"].join("\n");
+
+  it("should mark the line and column", function() {
+    expect(
+      codeFrame(content, 3, 2),
+      "to equal",
+      [
+        "  1 | one",
+        "  2 | two",
+        "> 3 | three",
+        "    |  ^",
+        "  4 | four",
+        "  5 | five"
+      ].join("\n")
+    );
+  });
+
+  it("should omit the column marker when no column is given", function() {
+    expect(
+      codeFrame(content, 1),
+      "to equal snapshot",
+      expect.unindent`
+        > 1 | one
+          2 | two
+          3 | three
+      `
+    );
+  });
+
+  describe("locationForIndex()", function() {
+    it("should return a line and column", function() {
+      expect(codeFrame.locationForIndex(content, 9), "to equal", {
+        line: 3,
+        column: 2
+      });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const expect = require("unexpected");
+
+const convertModuleSyntax = require("../../lib/md/convertModuleSyntax");
+
+describe("convertModuleSyntax", () => {
+  it("should leave code without module syntax unchanged", () => {
+    const code = 'const value = "import x from y";';
+
+    expect(convertModuleSyntax(code), "to equal", code);
+  });
+
+  it("should convert a default import", () => {
+    expect(
+      convertModuleSyntax('import fs from "fs";'),
+      "to equal",
+      'var fs = (m => m && m.__esModule ? m.default : m)(require("fs"));'
+    );
+  });
+
+  it("should convert a namespace import", () => {
+    expect(
+      convertModuleSyntax("import * as path from 'path';"),
+      "to equal",
+      'var path = require("path");'
+    );
+  });
+
+  it("should convert named imports", () => {
+    expect(
+      convertModuleSyntax('import { join, resolve as res } from "path";'),
+      "to equal",
+      'var { join, resolve: res } = require("path");'
+    );
+  });
+
+  it("should convert an import for side effects", () => {
+    expect(
+      convertModuleSyntax('import "./setup";'),
+      "to equal",
+      'require("./setup");'
+    );
+  });
+
+  it("should keep the lines of a multiline import", () => {
+    expect(
+      convertModuleSyntax('import {\n  join\n} from "path";\njoin();'),
+      "to equal",
+      'var { join } = require("path");\n\n\njoin();'
+    );
+  });
+
+  it("should leave dynamic imports alone", () => {
+    const code = 'const promise = import("./module");';
+
+    expect(convertModuleSyntax(code), "to equal", code);
+  });
+
+  it("should remove export keywords from declarations", () => {
+    expect(
+      convertModuleSyntax(
+        "export const a = 1;\nexport default function b() {}"
+      ),
+      "to equal",
+      "       const a = 1;\n               function b() {}"
+    );
+  });
+
+  it("should evaluate default exports of an expression", () => {
+    expect(
+      convertModuleSyntax("export default { a: 1 };"),
+      "to equal",
+      "void           { a: 1 };"
+    );
+  });
+
+  it("should remove export lists", () => {
+    expect(
+      convertModuleSyntax("export { a, b };"),
+      "to equal",
+      "                "
+    );
+  });
+
+  it("should throw on an unsupported import", () => {
+    expect(
+      () => convertModuleSyntax('import { a } { b } from "x";'),
+      "to throw",
+      'Unsupported import "{ a } { b }"'
+    );
+  });
+});
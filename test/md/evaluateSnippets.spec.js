@@ -3,11 +3,21 @@ const expect = require("unexpected")
   .use(require("unexpected-sinon"))
   .use(require("unexpected-snapshot"));
 const expectNoSnapshot = require("unexpected");
+const path = require("path");
 const sinon = require("sinon");
 
 const errors = require("../../lib/errors");
+const InspectedConsole = require("../../lib/InspectedConsole");
 const evaluateSnippets = require("../../lib/md/evaluateSnippets");
 
+const LOCAL_MODULE_PATH = path.join(
+  __dirname,
+  "..",
+  "..",
+  "testdata",
+  "local-module"
+);
+
 function createFakeMarkdown() {
   let _expect = null;
 
@@ -255,6 +265,595 @@ describe("evaluateSnippets", () => {
     });
   });
 
+  describe("with used snippets", () => {
+    it("should evaluate the named snippet again beforehand", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true, name: "setup" },
+          code: "global.counter = (global.counter || 0) + 1;"
+        },
+        {
+          lang: "javascript",
+          flags: { evaluate: true, return: true, use: "setup" },
+          code: "return global.counter;"
+        }
+      ];
+
+      await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        isolation: "context"
+      });
+
+      expect(snippets[1].output, "to satisfy", { kind: "result", text: "2" });
+    });
+
+    it("should record an error when the named snippet fails", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: false, name: "setup" },
+          code: "nonexistent();"
+        },
+        {
+          lang: "javascript",
+          flags: { evaluate: true, use: "setup" },
+          code: "return 1;"
+        }
+      ];
+
+      const result = await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname
+      });
+
+      expect(result, "to satisfy", {
+        1: expect
+          .it("to be an", errors.SnippetEvaluationError)
+          .and(
+            "to have message",
+            'used snippet "setup" failed: nonexistent is not defined'
+          )
+      });
+    });
+  });
+
+  describe("with module syntax", () => {
+    it("should import modules relative to the pwd", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true, return: true },
+          code: 'import foobar from "./foobar";\nreturn foobar;'
+        }
+      ];
+
+      await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: path.join(__dirname, "..", "..", "testdata", "local-module")
+      });
+
+      expect(snippets[0].output, "to satisfy", { text: "{ foo: 'bar' }" });
+    });
+
+    it("should import within an isolated context", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true, return: true },
+          code: 'import { basename } from "path";\nreturn basename("/a/b.md");'
+        }
+      ];
+
+      await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        isolation: "context"
+      });
+
+      expect(snippets[0].output, "to satisfy", { text: "'b.md'" });
+    });
+  });
+
+  describe("with streams capture", () => {
+    it("should output writes to the process streams", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code:
+            'process.stdout.write("out\\n");\nprocess.stderr.write("err\\n");'
+        }
+      ];
+
+      await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        capture: "streams"
+      });
+
+      expect(snippets[0].output, "to satisfy", {
+        kind: "streams",
+        text: "out\n[stderr] err"
+      });
+    });
+
+    it("should output writes piped from a child process", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true, async: true, streams: true },
+          code: [
+            'const { spawn } = require("child_process");',
+            'const child = spawn(process.execPath, ["-e", "console.log(42)"]);',
+            "child.stdout.pipe(process.stdout);",
+            'return new Promise(resolve => child.on("close", resolve));'
+          ].join("\n")
+        }
+      ];
+
+      await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname
+      });
+
+      expect(snippets[0].output, "to satisfy", {
+        kind: "streams",
+        text: "42"
+      });
+    });
+
+    it("should restore the streams when the snippet throws", async () => {
+      const originalWrite = process.stdout.write;
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true, streams: true },
+          code: 'process.stdout.write("out");\nthrow new Error("boom");'
+        }
+      ];
+
+      await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname
+      });
+
+      expect(process.stdout.write, "to be", originalWrite);
+      expect(snippets[0].output, "to satisfy", { kind: "error" });
+    });
+  });
+
+  describe("with types capture", () => {
+    it("should output the inferred types of the snippet", async () => {
+      const snippets = [
+        {
+          lang: "typescript",
+          flags: { evaluate: true },
+          code: "[1, 2].length;",
+          inferredTypes: "number"
+        }
+      ];
+
+      await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        capture: "types"
+      });
+
+      expect(snippets[0].output, "to satisfy", {
+        kind: "types",
+        text: "number"
+      });
+    });
+
+    it("should capture the result of javascript snippets", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: "return [1, 2].length;"
+        }
+      ];
+
+      await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        capture: "types"
+      });
+
+      expect(snippets[0].output, "to satisfy", { kind: "result", text: "2" });
+    });
+  });
+
+  describe("with runners", () => {
+    it("should hand snippets to the runner for their language", async () => {
+      const runner = sinon.stub().resolves("ran");
+      const snippets = [
+        {
+          lang: "shout",
+          evaluable: true,
+          flags: { evaluate: true },
+          code: "hello"
+        }
+      ];
+
+      await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        filename: "example.md",
+        runners: { shout: runner }
+      });
+
+      expect(runner, "to have a call satisfying", [
+        "hello",
+        { pwdPath: __dirname, filename: "example.md" }
+      ]);
+      expect(snippets[0].output, "to satisfy", { kind: "result", text: "ran" });
+    });
+
+    it("should record an error when the runner fails", async () => {
+      const snippets = [
+        {
+          lang: "shout",
+          evaluable: true,
+          flags: { evaluate: true },
+          code: "hello"
+        }
+      ];
+
+      const result = await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        runners: {
+          shout: () => {
+            throw new Error("too quiet");
+          }
+        }
+      });
+
+      expect(result, "to satisfy", {
+        0: expect
+          .it("to be an", errors.SnippetEvaluationError)
+          .and("to have message", "too quiet")
+      });
+    });
+
+    it("should hand setup and teardown snippets to their runner", async () => {
+      const runner = sinon.stub().resolves("");
+      const snippets = [
+        {
+          lang: "shout",
+          evaluable: true,
+          flags: { evaluate: true, setup: true },
+          code: "setting up"
+        },
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: "return 1;"
+        },
+        {
+          lang: "shout",
+          evaluable: true,
+          flags: { evaluate: true, teardown: "each" },
+          code: "tearing down"
+        }
+      ];
+
+      const result = await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        capture: "return",
+        runners: { shout: runner }
+      });
+
+      expect(result, "to equal", {});
+      expect(runner, "to have calls satisfying", [
+        ["setting up", {}],
+        ["tearing down", {}]
+      ]);
+    });
+
+    it("should hand used snippets to their runner", async () => {
+      const runner = sinon.stub().resolves("");
+      const snippets = [
+        {
+          lang: "shout",
+          evaluable: true,
+          flags: { evaluate: true, name: "greeting" },
+          code: "hello"
+        },
+        {
+          lang: "javascript",
+          flags: { evaluate: true, use: "greeting" },
+          code: "return 1;"
+        }
+      ];
+
+      const result = await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        capture: "return",
+        runners: { shout: runner }
+      });
+
+      expect(result, "to equal", {});
+      expect(runner, "to have calls satisfying", [
+        ["hello", {}],
+        ["hello", {}]
+      ]);
+    });
+
+    it("should report a failing runner within setup", async () => {
+      const snippets = [
+        {
+          lang: "shout",
+          evaluable: true,
+          flags: { evaluate: true, setup: true },
+          code: "hello"
+        }
+      ];
+
+      const result = await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        runners: {
+          shout: () => {
+            throw new Error("too quiet");
+          }
+        }
+      });
+
+      expect(result, "to satisfy", {
+        0: expect.it("to have message", "setup snippet failed: too quiet")
+      });
+    });
+  });
+
+  describe("with setup and teardown", () => {
+    it("should run setup and teardown around each snippet", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true, setup: "each" },
+          code: "global.log = (global.log || '') + '[';"
+        },
+        {
+          lang: "javascript",
+          flags: { evaluate: true, teardown: "each" },
+          code: "global.log += ']';"
+        },
+        {
+          lang: "javascript",
+          flags: { evaluate: true, return: true },
+          code: "return global.log;"
+        },
+        {
+          lang: "javascript",
+          flags: { evaluate: true, return: true },
+          code: "return global.log;"
+        }
+      ];
+
+      const result = await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        isolation: "context"
+      });
+
+      expect(result, "to equal", {});
+      expect(snippets, "to satisfy", [
+        { output: undefined },
+        { output: undefined },
+        { output: { text: "'['" } },
+        { output: { text: "'[]['" } }
+      ]);
+    });
+
+    it("should record an error against a failing file setup", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true, setup: true },
+          code: "throw new Error('no database');"
+        }
+      ];
+
+      const result = await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname
+      });
+
+      expect(result, "to satisfy", {
+        0: expect
+          .it("to be an", errors.SnippetEvaluationError)
+          .and("to have message", "setup snippet failed: no database")
+      });
+    });
+
+    it("should record an error against a snippet when setup fails", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true, setup: "each" },
+          code: "throw new Error('no database');"
+        },
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: "return 1;"
+        }
+      ];
+
+      const result = await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname
+      });
+
+      expect(result, "to satisfy", {
+        1: expect.it("to have message", "setup snippet failed: no database")
+      });
+    });
+  });
+
+  describe("with timeout", () => {
+    it("should fail a snippet that never finishes", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: "while (true) {}"
+        }
+      ];
+
+      const result = await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        timeout: 20
+      });
+
+      expect(result, "to satisfy", {
+        0: expect
+          .it("to be an", errors.SnippetTimeoutError)
+          .and("to have message", "snippet timed out after 20ms")
+      });
+    });
+
+    it("should fail a snippet that never settles", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { async: true, evaluate: true },
+          code: "return new Promise(() => {});"
+        }
+      ];
+
+      const result = await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        timeout: 20
+      });
+
+      expect(result, "to satisfy", {
+        0: expect.it("to be an", errors.SnippetTimeoutError)
+      });
+    });
+
+    it("should allow a snippet to override the timeout", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { async: true, evaluate: true, timeout: 10 },
+          code: "return new Promise(() => {});"
+        }
+      ];
+
+      const result = await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        timeout: 5000
+      });
+
+      expect(result, "to satisfy", {
+        0: expect
+          .it("to be an", errors.SnippetTimeoutError)
+          .and("to have message", "snippet timed out after 10ms")
+      });
+    });
+
+    it("should continue with subsequent snippets", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: "while (true) {}"
+        },
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: "return 'done';"
+        }
+      ];
+
+      const result = await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        capture: "return",
+        timeout: 20
+      });
+
+      expect(result, "to only have keys", ["0"]);
+      expect(snippets[1].output, "to satisfy", { text: "'done'" });
+    });
+  });
+
+  describe("with filename", () => {
+    it("should report stack frames within the markdown file", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          codeLine: 12,
+          code: "var foo = 1;\nfoo + bar;"
+        }
+      ];
+
+      const result = await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        capture: "return",
+        filename: "/docs/guide.md"
+      });
+
+      expect(result, "to satisfy", {
+        0: {
+          data: {
+            original: {
+              stack: expect.it("to contain", "at /docs/guide.md:13:7")
+            },
+            position: { line: 2, column: 7 }
+          }
+        }
+      });
+    });
+
+    it("should map stack frames within transpiled code", async () => {
+      const snippets = [
+        {
+          lang: "typescript",
+          flags: { evaluate: true },
+          codeLine: 3,
+          code: "interface Foo {}\n\nbar();",
+          transpiled: "bar();",
+          transpiledSegments: [
+            [
+              [0, 3, 1],
+              [3, 3, 4]
+            ]
+          ]
+        }
+      ];
+
+      const result = await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        filename: "/docs/guide.md"
+      });
+
+      expect(result, "to satisfy", {
+        0: {
+          data: {
+            original: {
+              stack: expect.it("to contain", "at /docs/guide.md:5:1")
+            },
+            position: { line: 3, column: 1 }
+          }
+        }
+      });
+    });
+  });
+
   describe("with preamble", () => {
     it("should evaluate javascript snippets", async () => {
       const snippets = [
@@ -324,4 +923,177 @@ describe("evaluateSnippets", () => {
       expect(snippets[0].output, "to satisfy", { kind: "result" });
     });
   });
+
+  describe("with context isolation", () => {
+    it("should not leak prototype changes to the host", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: "Array.prototype.leaky = true; return [].leaky;"
+        }
+      ];
+
+      await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        capture: "return",
+        isolation: "context"
+      });
+
+      expect(snippets[0].output, "to satisfy", { text: "true" });
+      expect([].leaky, "to be undefined");
+    });
+
+    it("should not leak globals to the host", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: "var leakyGlobal = true;"
+        }
+      ];
+
+      await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        isolation: "context"
+      });
+
+      expect(global.leakyGlobal, "to be undefined");
+    });
+
+    it("should clear timers left pending", async () => {
+      const callback = sinon.spy();
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: "setTimeout(callback, 10);"
+        }
+      ];
+
+      await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        isolation: "context",
+        fileGlobals: { callback: () => callback }
+      });
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(callback, "was not called");
+    });
+
+    it("should resolve require relative to the markdown", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: "return typeof require('./foobar');"
+        }
+      ];
+
+      await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: LOCAL_MODULE_PATH,
+        capture: "return",
+        isolation: "context"
+      });
+
+      expect(snippets[0].output, "to satisfy", { text: "'object'" });
+    });
+
+    it("should allow referring to the global of the context", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: "global.fromGlobal = 1;"
+        },
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: "return fromGlobal + 1;"
+        }
+      ];
+
+      await evaluateSnippets(snippets, {
+        markdown: createFakeMarkdown(),
+        pwdPath: __dirname,
+        capture: "return",
+        isolation: "context"
+      });
+
+      expect(snippets[1].output, "to satisfy", { text: "2" });
+      expect(global.fromGlobal, "to be undefined");
+    });
+
+    it("should not leak changes to modules between files", async () => {
+      const patchingSnippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: [
+            'require("os").__patched = true;',
+            'require("./foobar").foo = "patched";'
+          ].join("\n")
+        }
+      ];
+      const checkingSnippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: [
+            "return [",
+            '  require("os").__patched,',
+            '  require("./foobar").foo',
+            "];"
+          ].join("\n")
+        }
+      ];
+      const options = {
+        pwdPath: LOCAL_MODULE_PATH,
+        capture: "return",
+        isolation: "context"
+      };
+
+      await evaluateSnippets(patchingSnippets, {
+        markdown: createFakeMarkdown(),
+        ...options
+      });
+      await evaluateSnippets(checkingSnippets, {
+        markdown: createFakeMarkdown(),
+        ...options
+      });
+
+      expect(checkingSnippets[0].output, "to satisfy", {
+        text: "[ undefined, 'bar' ]"
+      });
+      expect(require("os").__patched, "to be undefined");
+    });
+
+    it("should capture the console", async () => {
+      const snippets = [
+        {
+          lang: "javascript",
+          flags: { evaluate: true },
+          code: "console.log('foo');"
+        }
+      ];
+      const markdown = createFakeMarkdown();
+      markdown.inspectedConsole = new InspectedConsole(markdown);
+
+      await evaluateSnippets(snippets, {
+        markdown,
+        pwdPath: __dirname,
+        capture: "console",
+        isolation: "context"
+      });
+
+      expect(snippets[0].output, "to satisfy", {
+        kind: "console",
+        text: "'foo'"
+      });
+    });
+  });
 });
@@ -73,6 +73,16 @@ describe("extractSnippets", function() {
     );
   });
 
+  it("should record the line on which code starts", () => {
+    expect(
+      extractSnippets("Some text.\n\n```js\nalert('Hello!');\n```\n", {
+        marker: "evaldown"
+      }),
+      "to satisfy",
+      [{ codeLine: 4 }]
+    );
+  });
+
   it("should return the saved code chunk when using the start and end index", function() {
     const mdSrc = 'foobar\n```js\nalert("Hello!");\n```\n';
     const { code, codeIndex, codeIndexEnd } = extractSnippets(mdSrc, {
@@ -130,6 +140,16 @@ describe("extractSnippets", function() {
         [{ index: 7, indexEnd: 43, codeIndex: 23, codeIndexEnd: 39 }]
       );
     });
+
+    it("should keep a language ending in # such as c#", function() {
+      expect(
+        extractSnippets('```c#\nConsole.WriteLine("Hello!");\n```\n', {
+          marker: "evaldown"
+        }),
+        "to satisfy",
+        [{ lang: "c#", flags: { evaluate: true } }]
+      );
+    });
   });
 
   describe("with html comments", function() {
@@ -165,6 +185,65 @@ describe("extractSnippets", function() {
       );
     });
 
+    it("should capture numeric flag values", function() {
+      expect(
+        extractSnippets('```js#timeout:500\nalert("Hello!");\n```\n', {
+          marker: "evaldown"
+        }),
+        "to satisfy",
+        [{ flags: { timeout: 500 } }]
+      );
+    });
+
+    it("should apply default flags beneath those of the snippet", function() {
+      expect(
+        extractSnippets(
+          '<!-- evaldown evaluate:true -->\n```js\nalert("Hello!");\n```\n\n```js\nalert("world!");\n```\n',
+          {
+            marker: "evaldown",
+            defaultFlags: { evaluate: false, freshContext: true }
+          }
+        ),
+        "to satisfy",
+        [
+          { flags: { evaluate: true, freshContext: true } },
+          { flags: { evaluate: false, freshContext: true } }
+        ]
+      );
+    });
+
+    it("should capture bare flags in the info string", function() {
+      expect(
+        extractSnippets('```js#async,timeout:500\nalert("Hello!");\n```\n', {
+          marker: "evaldown"
+        }),
+        "to satisfy",
+        [{ flags: { async: true, timeout: 500 }, flagErrors: [] }]
+      );
+    });
+
+    it("should locate errors in flags", function() {
+      expect(
+        extractSnippets(
+          '# foo\n\n<!-- evaldown async, hdie -->\n```js#timeout:soon\nalert("Hello!");\n```\n',
+          { marker: "evaldown" }
+        ),
+        "to satisfy",
+        [
+          {
+            flagErrors: [
+              { message: 'unknown flag "hdie"', line: 3, column: 22 },
+              {
+                message: 'flag "timeout" must be a number',
+                line: 4,
+                column: 7
+              }
+            ]
+          }
+        ]
+      );
+    });
+
     it("should extract flags from a preceding HTML comment", function() {
       expect(
         extractSnippets(
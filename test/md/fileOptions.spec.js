@@ -0,0 +1,84 @@
+const expect = require("unexpected");
+
+const errors = require("../../lib/errors");
+const fileOptions = require("../../lib/md/fileOptions");
+
+describe("fileOptions", () => {
+  it("should return no options without front matter", () => {
+    expect(fileOptions({}), "to equal", {});
+  });
+
+  it("should return the recognised options", () => {
+    expect(
+      fileOptions({
+        title: "Ignored",
+        evaldown: {
+          capture: "console",
+          freshContext: true,
+          globals: { answer: 42 },
+          isolation: "context",
+          require: "./helper.js",
+          skip: false,
+          timeout: 500,
+          tsconfig: "./tsconfig.json"
+        }
+      }),
+      "to equal",
+      {
+        capture: "console",
+        freshContext: true,
+        globals: { answer: 42 },
+        isolation: "context",
+        require: "./helper.js",
+        skip: false,
+        timeout: 500,
+        tsconfig: "./tsconfig.json"
+      }
+    );
+  });
+
+  it("should throw on options which are not key value pairs", () => {
+    expect(
+      () => fileOptions({ evaldown: "console" }),
+      "to throw",
+      'invalid "evaldown" front matter: expected key value pairs'
+    );
+  });
+
+  it("should throw on an unsupported option", () => {
+    expect(
+      () => fileOptions({ evaldown: { outputFormat: "html" } }),
+      "to throw",
+      expect
+        .it("to be an", errors.FileMetadataError)
+        .and(
+          "to have message",
+          'invalid "evaldown" front matter: unsupported option "outputFormat"'
+        )
+    );
+  });
+
+  it("should throw on an unsupported capture", () => {
+    expect(
+      () => fileOptions({ evaldown: { capture: "everything" } }),
+      "to throw",
+      'invalid "evaldown" front matter: unsupported capture "everything"'
+    );
+  });
+
+  it("should throw on a non-boolean flag", () => {
+    expect(
+      () => fileOptions({ evaldown: { skip: "yes" } }),
+      "to throw",
+      'invalid "evaldown" front matter: "skip" must be true or false'
+    );
+  });
+
+  it("should throw on an invalid timeout", () => {
+    expect(
+      () => fileOptions({ evaldown: { timeout: -1 } }),
+      "to throw",
+      'invalid "evaldown" front matter: "timeout" must be a positive number'
+    );
+  });
+});
@@ -0,0 +1,67 @@
+const expect = require("unexpected");
+
+const { parseFlags } = require("../../lib/md/flags");
+
+describe("flags", () => {
+  describe("parseFlags()", () => {
+    it("should parse bare flags as true", () => {
+      expect(parseFlags("async, hide"), "to equal", {
+        flags: { async: true, hide: true },
+        problems: []
+      });
+    });
+
+    it("should parse booleans and numbers", () => {
+      expect(parseFlags("evaluate:false, timeout: 100"), "to equal", {
+        flags: { evaluate: false, timeout: 100 },
+        problems: []
+      });
+    });
+
+    it("should parse quoted strings", () => {
+      expect(parseFlags(`foo:"a, \\"b\\"", bar:'c'`).flags, "to equal", {
+        foo: 'a, "b"',
+        bar: "c"
+      });
+    });
+
+    it("should report unknown flags with their offset", () => {
+      expect(parseFlags("async, quux:true"), "to satisfy", {
+        flags: { async: true, quux: true },
+        problems: [{ message: 'unknown flag "quux"', offset: 7 }]
+      });
+    });
+
+    it("should report values of the wrong type", () => {
+      expect(parseFlags("timeout:soon"), "to satisfy", {
+        problems: [{ message: 'flag "timeout" must be a number', offset: 0 }]
+      });
+    });
+
+    it("should accept a scope for setup and teardown", () => {
+      expect(parseFlags("setup, teardown:each"), "to equal", {
+        flags: { setup: true, teardown: "each" },
+        problems: []
+      });
+    });
+
+    it("should report an invalid scope", () => {
+      expect(parseFlags("setup:always"), "to satisfy", {
+        problems: [
+          { message: 'flag "setup" must be either "each" or "file"', offset: 0 }
+        ]
+      });
+    });
+
+    it("should report malformed flags", () => {
+      expect(parseFlags("async, :true"), "to satisfy", {
+        flags: { async: true },
+        problems: [{ message: 'malformed flag ":true"', offset: 7 }]
+      });
+    });
+
+    it("should accept an empty string", () => {
+      expect(parseFlags("  "), "to equal", { flags: {}, problems: [] });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const expect = require("unexpected");
+const path = require("path");
+
+const includeSnippets = require("../../lib/md/includeSnippets");
+
+const TESTDATA_PATH = path.join(__dirname, "..", "..", "testdata", "include");
+
+async function includeWithFlags(flags) {
+  const snippet = { lang: "javascript", code: "", flags };
+  await includeSnippets([snippet], { pwdPath: TESTDATA_PATH });
+  return snippet;
+}
+
+describe("includeSnippets", () => {
+  it("should include the whole file", async () => {
+    const snippet = await includeWithFlags({ include: "examples/greet.js" });
+
+    expect(snippet, "to satisfy", {
+      blockCode: "",
+      code: expect
+        .it("to begin with", "function greet(name) {")
+        .and("to end with", 'console.log(greet("world"));')
+    });
+  });
+
+  it("should include a range of lines", async () => {
+    const snippet = await includeWithFlags({
+      include: "examples/greet.js",
+      lines: "3-4"
+    });
+
+    expect(
+      snippet.code,
+      "to equal",
+      'const greeting = ["Hello", name].join(", ");\nreturn greeting;'
+    );
+  });
+
+  it("should include a single line", async () => {
+    const snippet = await includeWithFlags({
+      include: "examples/greet.js",
+      lines: 8
+    });
+
+    expect(snippet.code, "to equal", 'console.log(greet("world"));');
+  });
+
+  it("should include a region", async () => {
+    const snippet = await includeWithFlags({
+      include: "examples/greet.js",
+      region: "body"
+    });
+
+    expect(
+      snippet.code,
+      "to equal",
+      'const greeting = ["Hello", name].join(", ");\nreturn greeting;'
+    );
+  });
+
+  it("should ignore snippets without an include", async () => {
+    const snippet = await includeWithFlags({ evaluate: true });
+
+    expect(snippet, "to exhaustively satisfy", {
+      lang: "javascript",
+      code: "",
+      flags: { evaluate: true }
+    });
+  });
+
+  it("should record an error for a missing file", async () => {
+    const snippet = await includeWithFlags({ include: "examples/missing.js" });
+
+    expect(
+      snippet.includeError,
+      "to equal",
+      'unable to include "examples/missing.js" (ENOENT)'
+    );
+  });
+
+  it("should record an error for a range outside the file", async () => {
+    const snippet = await includeWithFlags({
+      include: "examples/greet.js",
+      lines: "7-20"
+    });
+
+    expect(
+      snippet.includeError,
+      "to equal",
+      'line range "7-20" is outside the file'
+    );
+  });
+
+  it("should record an error for a missing region", async () => {
+    const snippet = await includeWithFlags({
+      include: "examples/greet.js",
+      region: "nothing"
+    });
+
+    expect(snippet.includeError, "to equal", 'region "nothing" was not found');
+  });
+});
@@ -0,0 +1,103 @@
+const expect = require("unexpected");
+const path = require("path");
+
+const inferSnippetTypes = require("../../lib/md/inferSnippetTypes");
+
+const TESTDATA_PATH = path.join(
+  __dirname,
+  "..",
+  "..",
+  "testdata",
+  "capture-types"
+);
+
+function inferTypes(snippets, options) {
+  inferSnippetTypes(snippets, {
+    pwdPath: TESTDATA_PATH,
+    tsconfigPath: path.join(TESTDATA_PATH, "tsconfig.json"),
+    ...options
+  });
+  return snippets.map(snippet => snippet.inferredTypes);
+}
+
+describe("inferSnippetTypes", () => {
+  it("should describe the type of a final expression", () => {
+    const snippets = [
+      {
+        lang: "typescript",
+        flags: { evaluate: true, types: true },
+        code: 'const words = ["a", "b"];\nwords.length;'
+      }
+    ];
+
+    expect(inferTypes(snippets), "to equal", ["number"]);
+  });
+
+  it("should describe the types of declarations", () => {
+    const snippets = [
+      {
+        lang: "typescript",
+        flags: { evaluate: true, types: true },
+        code:
+          "const a = 1, b = 'two';\nfunction double(x: number) {\n  return x * 2;\n}"
+      }
+    ];
+
+    expect(inferTypes(snippets), "to equal", [
+      'a: 1\nb: "two"\ndouble: (x: number) => number'
+    ]);
+  });
+
+  it("should use declarations from earlier snippets", () => {
+    const snippets = [
+      {
+        lang: "typescript",
+        flags: { evaluate: true },
+        code: 'const values = ["a", "bc"];'
+      },
+      {
+        lang: "typescript",
+        flags: { evaluate: true, types: true },
+        code: "values.map(value => value.length);"
+      }
+    ];
+
+    expect(inferTypes(snippets), "to equal", [undefined, "number[]"]);
+  });
+
+  it("should describe a returned value within a wrapped snippet", () => {
+    const snippets = [
+      {
+        lang: "typescript",
+        flags: { evaluate: true, types: true, return: true },
+        code: "return [1, 2].map(String);"
+      }
+    ];
+
+    expect(inferTypes(snippets), "to equal", ["string[]"]);
+  });
+
+  it("should apply a types capture to every snippet", () => {
+    const snippets = [
+      {
+        lang: "typescript",
+        flags: { evaluate: true },
+        code: "[true];"
+      }
+    ];
+
+    expect(inferTypes(snippets, { capture: "types" }), "to equal", [
+      "boolean[]"
+    ]);
+  });
+
+  it("should leave snippets alone without a types capture", () => {
+    const snippets = [
+      { lang: "typescript", flags: { evaluate: true }, code: "1;" }
+    ];
+
+    expect(inferTypes(snippets, { tsconfigPath: undefined }), "to equal", [
+      undefined
+    ]);
+  });
+});
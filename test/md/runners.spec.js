@@ -0,0 +1,80 @@
+const expect = require("unexpected");
+const path = require("path");
+
+const errors = require("../../lib/errors");
+const runners = require("../../lib/md/runners");
+
+const TESTDATA_PATH = path.join(__dirname, "..", "..", "testdata", "runners");
+
+describe("runners", () => {
+  describe("sh", () => {
+    it("should run the code within the directory of the file", async () => {
+      await expect(
+        runners.sh('basename "$PWD"', { pwdPath: TESTDATA_PATH }),
+        "to be fulfilled with",
+        "runners"
+      );
+    });
+
+    it("should capture both stdout and stderr", async () => {
+      await expect(
+        runners.sh("echo out; echo err >&2", { pwdPath: TESTDATA_PATH }),
+        "to be fulfilled with",
+        "out\nerr"
+      );
+    });
+
+    it("should keep characters split between chunks of output", async () => {
+      await expect(
+        runners.sh(
+          "awk 'BEGIN { for (i = 0; i < 50000; i++) printf \"\\342\\202\\254\" }'",
+          { pwdPath: TESTDATA_PATH }
+        ),
+        "to be fulfilled with",
+        "\u20ac".repeat(50000)
+      );
+    });
+
+    it("should reject when the command fails", async () => {
+      await expect(
+        runners.sh("echo oops; exit 2", { pwdPath: TESTDATA_PATH }),
+        "to be rejected with",
+        "command exited with code 2\noops"
+      );
+    });
+
+    it("should reject when the command times out", async () => {
+      await expect(
+        runners.sh("sleep 5", { pwdPath: TESTDATA_PATH, timeout: 50 }),
+        "to be rejected with",
+        expect
+          .it("to be an", errors.SnippetTimeoutError)
+          .and("to have message", "snippet timed out after 50ms")
+      );
+    });
+  });
+
+  describe("bash", () => {
+    it("should run the code with bash", async () => {
+      await expect(
+        runners.bash("echo $((1 + 2))", { pwdPath: TESTDATA_PATH }),
+        "to be fulfilled with",
+        "3"
+      );
+    });
+  });
+
+  describe("json", () => {
+    it("should accept valid JSON", () => {
+      expect(runners.json('{ "a": [1, 2] }'), "to equal", "");
+    });
+
+    it("should throw on invalid JSON", () => {
+      expect(
+        () => runners.json('{ "a": }'),
+        "to throw",
+        expect.it("to be a", SyntaxError)
+      );
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const expect = require("unexpected");
+const sourceMap = require("../../lib/md/sourceMap");
+
+describe("sourceMap", function() {
+  describe("decodeMappings()", function() {
+    it("should decode segments with absolute positions", function() {
+      expect(sourceMap.decodeMappings("AAIA,IAAM;AACN"), "to equal", [
+        [
+          [0, 4, 0],
+          [4, 4, 6]
+        ],
+        [[0, 5, 0]]
+      ]);
+    });
+
+    it("should throw on an invalid character", function() {
+      expect(
+        () => sourceMap.decodeMappings("AA!A"),
+        "to throw",
+        'invalid source map character "!"'
+      );
+    });
+  });
+
+  describe("findSegment()", function() {
+    const segments = [
+      [0, 4, 0],
+      [4, 4, 6]
+    ];
+
+    it("should return the closest preceding segment", function() {
+      expect(sourceMap.findSegment(segments, 5), "to equal", [4, 4, 6]);
+    });
+
+    it("should return null without segments", function() {
+      expect(sourceMap.findSegment([], 5), "to be null");
+    });
+  });
+});
@@ -3,8 +3,10 @@ const expect = require("unexpected")
   .clone()
   .use(require("unexpected-sinon"))
   .use(require("unexpected-snapshot"));
+const path = require("path");
 const sinon = require("sinon");
 
+const errors = require("../../lib/errors");
 const transpileSnippets = require("../../lib/md/transpileSnippets");
 
 describe("transpileSnippets", () => {
@@ -134,4 +136,151 @@ describe("transpileSnippets", () => {
       "\n//---------------------preamble----------------------\n(function () {return { foo: 'bar' };})();"
     ]);
   });
+
+  describe("with a tsconfig", () => {
+    const TSCONFIG_PATH = path.join(
+      __dirname,
+      "..",
+      "..",
+      "testdata",
+      "tsconfig"
+    );
+
+    it("should apply the compilerOptions of an extended config", () => {
+      const transpileFn = transpileSnippets.createTranspileTypescript(
+        path.join(TSCONFIG_PATH, "tsconfig.json")
+      );
+
+      expect(
+        transpileFn("const f = async (x: number) => <p>{x}</p>;").code,
+        "to equal",
+        'const f = async (x) => h("p", null, x);'
+      );
+    });
+
+    it("should keep module syntax whatever module is configured", () => {
+      const transpileFn = transpileSnippets.createTranspileTypescript(
+        path.join(TSCONFIG_PATH, "..", "ts-modules", "tsconfig.commonjs.json")
+      );
+
+      expect(
+        transpileFn('import { hello } from "./greetings";\nhello("x");').code,
+        "to equal",
+        'import { hello } from "./greetings";\nhello("x");'
+      );
+    });
+
+    it("should convert module syntax in the transpiled code", () => {
+      const transpileFn = transpileSnippets.createTranspileTypescript(
+        path.join(TSCONFIG_PATH, "..", "ts-modules", "tsconfig.commonjs.json")
+      );
+      const snippets = [
+        {
+          lang: "typescript",
+          flags: { evaluate: true },
+          code: 'import { hello } from "./greetings";\nhello("x");'
+        }
+      ];
+
+      const injectedCode = transpileSnippets(snippets, { transpileFn });
+
+      expect(injectedCode, "to be null");
+      expect(
+        snippets[0].transpiled,
+        "to equal",
+        'var { hello } = require("./greetings");\nhello("x");'
+      );
+    });
+
+    it("should throw on invalid compilerOptions", () => {
+      expect(
+        () =>
+          transpileSnippets.createTranspileTypescript(
+            path.join(TSCONFIG_PATH, "tsconfig.invalid.json")
+          ),
+        "to throw",
+        expect
+          .it("to be an", errors.ConfigFileError)
+          .and(
+            "to have message",
+            expect.it(
+              "to contain",
+              "Argument for '--target' option must be: 'es3'"
+            )
+          )
+      );
+    });
+
+    it("should throw on a malformed config", () => {
+      expect(
+        () =>
+          transpileSnippets.createTranspileTypescript(
+            path.join(TSCONFIG_PATH, "tsconfig.malformed.json")
+          ),
+        "to throw",
+        `invalid tsconfig "${path.join(
+          TSCONFIG_PATH,
+          "tsconfig.malformed.json"
+        )}": '}' expected.`
+      );
+    });
+  });
+
+  describe("with source maps", () => {
+    const tsconfigPath = path.join(
+      __dirname,
+      "..",
+      "..",
+      "testdata",
+      "typescript",
+      "tsconfig.json"
+    );
+
+    it("should record where transpiled lines originated", () => {
+      const transpileFn = transpileSnippets.createTranspileTypescript(
+        tsconfigPath
+      );
+
+      const snippets = [
+        {
+          lang: "typescript",
+          code: "const foo: number = 1;",
+          flags: { evaluate: true }
+        },
+        {
+          lang: "typescript",
+          code:
+            "const x = 1;\ninterface Bar {\n  y: number;\n}\nconst bar: Bar = { y: x };",
+          flags: { evaluate: true }
+        }
+      ];
+      transpileSnippets(snippets, { transpileFn });
+
+      expect(snippets[1], "to satisfy", {
+        transpiled: "var x = 1;\nvar bar = { y: x };",
+        transpiledSegments: [
+          expect.it("to have an item satisfying", [0, 1, 1]),
+          expect.it("to have an item satisfying", [0, 5, 1])
+        ]
+      });
+    });
+
+    it("should allow a transpileFn to return a map", () => {
+      const transpileFn = code => ({
+        code,
+        map: { version: 3, mappings: ";;AAEA;;;;AAIA" }
+      });
+
+      const snippets = [
+        { ...testSnippet, code: "foo();", flags: { evaluate: true } },
+        { ...testSnippet, code: "\n\nbar();", flags: { evaluate: true } }
+      ];
+      transpileSnippets(snippets, { transpileFn });
+
+      expect(snippets, "to satisfy", [
+        { transpiledSegments: [[[0, 1, 1]]] },
+        { transpiledSegments: [[], [], [[0, 3, 1]]] }
+      ]);
+    });
+  });
 });
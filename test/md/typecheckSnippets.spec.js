@@ -0,0 +1,177 @@
+const expect = require("unexpected");
+const path = require("path");
+
+const errors = require("../../lib/errors");
+const typecheckSnippets = require("../../lib/md/typecheckSnippets");
+
+const TESTDATA_PATH = path.join(__dirname, "..", "..", "testdata", "typecheck");
+
+function typecheckCode(...codes) {
+  const snippets = codes.map(code => ({
+    lang: "typescript",
+    flags: { evaluate: true, return: true },
+    code
+  }));
+  return typecheckSnippets(snippets, {
+    pwdPath: TESTDATA_PATH,
+    tsconfigPath: path.join(TESTDATA_PATH, "tsconfig.json")
+  });
+}
+
+describe("typecheckSnippets", () => {
+  it("should return no errors for valid snippets", () => {
+    expect(typecheckCode("const a: number = 1;\nreturn a;"), "to equal", {});
+  });
+
+  it("should check against the types of the project", () => {
+    expect(
+      typecheckCode('const greeting: Greeting = { text: "hi" };'),
+      "to equal",
+      {}
+    );
+  });
+
+  it("should report diagnostics against the snippet they arose in", () => {
+    const typeErrors = typecheckCode(
+      "const a: number = 1;",
+      'return 1;\nconst b: number = "two";'
+    );
+
+    expect(typeErrors, "to exhaustively satisfy", {
+      1: expect.it("to be an", errors.SnippetTypeError).and("to satisfy", {
+        message: "TS2322: Type '\"two\"' is not assignable to type 'number'.",
+        data: { position: { line: 2, column: 7 } }
+      })
+    });
+  });
+
+  it("should map the column of diagnostics on the first line", () => {
+    expect(typecheckCode("const a: string = 1;"), "to satisfy", {
+      0: { data: { position: { line: 1, column: 7 } } }
+    });
+  });
+
+  it("should allow a declaration to be repeated in a later snippet", () => {
+    const snippets = [
+      "const a = 1;",
+      'const a = "two";\na.toUpperCase();'
+    ].map(code => ({ lang: "typescript", flags: { evaluate: true }, code }));
+
+    expect(
+      typecheckSnippets(snippets, {
+        pwdPath: TESTDATA_PATH,
+        tsconfigPath: path.join(TESTDATA_PATH, "tsconfig.json")
+      }),
+      "to equal",
+      {}
+    );
+  });
+
+  it("should allow later snippets to use earlier declarations", () => {
+    const snippets = ["const a = 1;", "const b: string = a;"].map(code => ({
+      lang: "typescript",
+      flags: { evaluate: true },
+      code
+    }));
+
+    expect(
+      typecheckSnippets(snippets, {
+        pwdPath: TESTDATA_PATH,
+        tsconfigPath: path.join(TESTDATA_PATH, "tsconfig.json")
+      }),
+      "to satisfy",
+      {
+        1: {
+          message: "TS2322: Type '1' is not assignable to type 'string'.",
+          data: { position: { line: 1, column: 7 } }
+        }
+      }
+    );
+  });
+
+  it("should check imports made within snippets", () => {
+    const snippets = [
+      "const a = 1;",
+      'import { greet } from "./greetings";\n\ngreet(a);',
+      'import { missing } from "./missing";'
+    ].map(code => ({ lang: "typescript", flags: { evaluate: true }, code }));
+
+    const typeErrors = typecheckSnippets(snippets, {
+      pwdPath: TESTDATA_PATH,
+      tsconfigPath: path.join(TESTDATA_PATH, "tsconfig.json")
+    });
+
+    expect(typeErrors, "to satisfy", {
+      0: undefined,
+      1: {
+        message: expect.it("to begin with", "TS2345: Argument of type '1'"),
+        data: { position: { line: 3, column: 7 } }
+      },
+      2: {
+        message: expect.it("to begin with", "TS2307: Cannot find module"),
+        data: { position: { line: 1, column: 25 } }
+      }
+    });
+  });
+
+  it("should not report expected type errors", () => {
+    const snippets = [
+      {
+        lang: "typescript",
+        flags: { evaluate: true, expectTypeError: true },
+        code: 'const a: number = "one";'
+      }
+    ];
+
+    expect(
+      typecheckSnippets(snippets, {
+        tsconfigPath: path.join(TESTDATA_PATH, "tsconfig.json")
+      }),
+      "to equal",
+      {}
+    );
+  });
+
+  it("should report a missing expected type error", () => {
+    const snippets = [
+      {
+        lang: "typescript",
+        flags: { evaluate: true, expectTypeError: true },
+        code: "const a: number = 1;"
+      }
+    ];
+
+    expect(
+      typecheckSnippets(snippets, {
+        tsconfigPath: path.join(TESTDATA_PATH, "tsconfig.json")
+      }),
+      "to satisfy",
+      {
+        0: expect.it(
+          "to have message",
+          "expected a type error but none was reported"
+        )
+      }
+    );
+  });
+
+  it("should ignore snippets which are not TypeScript", () => {
+    const snippets = [
+      { lang: "javascript", flags: { evaluate: true }, code: "a b c" }
+    ];
+
+    expect(typecheckSnippets(snippets, {}), "to equal", {});
+  });
+
+  it("should throw without a tsconfig", () => {
+    expect(
+      () =>
+        typecheckSnippets(
+          [{ lang: "typescript", flags: { evaluate: true }, code: "" }],
+          {}
+        ),
+      "to throw",
+      "tsconfig must be specified to typecheck snippets"
+    );
+  });
+});
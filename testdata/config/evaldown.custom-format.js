@@ -0,0 +1,15 @@
+module.exports = {
+  format: "json",
+  formats: {
+    json: {
+      defaultExtension: ".json",
+      magicpenFormat: "text",
+      generateOutput: async maker =>
+        JSON.stringify({
+          content: (await maker.withUpdatedExamples()).toText()
+        })
+    }
+  },
+  sourcePath: "./files",
+  targetPath: "../output"
+};
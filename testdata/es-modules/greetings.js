@@ -0,0 +1 @@
+exports.hello = name => `Hello, ${name}!`;
@@ -0,0 +1,5 @@
+/* eslint no-unused-vars:off */
+
+function helper() {
+  return "from helper";
+}
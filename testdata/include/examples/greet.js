@@ -0,0 +1,8 @@
+function greet(name) {
+  // #region body
+  const greeting = ["Hello", name].join(", ");
+  return greeting;
+  // #endregion
+}
+
+console.log(greet("world"));
@@ -0,0 +1,3 @@
+export function greet(name: string): Greeting {
+  return { text: `Hello, ${name}` };
+}
@@ -0,0 +1,3 @@
+interface Greeting {
+  text: string;
+}